@@ -1,8 +1,16 @@
 import { useState, useEffect, useRef } from 'react'
 import './App.css'
+import { createRateLimitedFetch } from '../../../../shared/rateLimitedFetch';
 
 const API_BASE_URL = 'http://localhost:3000';
 
+// Each event is polled on its own, so each gets its own queue; the default
+// (one per path) would hold every event's poll behind the others
+const limitedFetch = createRateLimitedFetch({
+  maxRetries: 2,
+  endpointKey: (url) => new URL(url).searchParams.get('eventId'),
+});
+
 // Event IDs that the backend creates
 const EVENT_IDS = ['EVENT#00', 'EVENT#01', 'EVENT#02', 'EVENT#03', 'EVENT#04'];
 
@@ -56,7 +64,7 @@ function App() {
 
         const currentLastUpdated = lastUpdatedTimestamps.current[eventId] || 0;
         
-        const response = await fetch(
+        const response = await limitedFetch(
           `${API_BASE_URL}/status?eventId=${encodeURIComponent(eventId)}&last_updated=${currentLastUpdated}`,
           { signal: controller.signal }
         );
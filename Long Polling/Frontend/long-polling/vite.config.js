@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // The app imports rateLimitedFetch.js from the repo's shared/ directory
+      allow: ['.', '../../../shared'],
+    },
+  },
 })
@@ -0,0 +1,46 @@
+const { Queue } = require('bullmq');
+const redisConnection = require('./redis');
+
+// Jobs that used up all their attempts end up here. Nothing consumes this
+// queue: dead jobs wait until someone retries or discards them via the API.
+const deadLetterQueue = new Queue('tasks-dead-letter', {
+  connection: redisConnection,
+});
+deadLetterQueue.on('error', (err) => console.error('Dead-letter queue error:', err));
+
+// A dead job's id is derived from the original, so the original id can still
+// be looked up after the job is gone from its queue. BullMQ rejects custom ids
+// that are plain integers, hence the queue name in front.
+const deadJobId = (queueName, jobId) => `${queueName}-${jobId}`;
+
+// Copy a job that failed for good into the dead-letter queue, with its error
+// history, and remove it from the failed set of its own queue. Adding under a
+// fixed id makes this safe to repeat: a second add returns the existing copy.
+async function moveToDeadLetter(job) {
+  // A failed attempt that will be retried is 'delayed' or 'waiting' instead
+  const state = await job.getState();
+  if (state !== 'failed') {
+    return null;
+  }
+
+  const deadJob = await deadLetterQueue.add(job.name, {
+    queue: job.queueName,
+    jobId: job.id,
+    name: job.name,
+    data: job.data,
+    opts: job.opts,
+    progress: job.progress,
+    failedReason: job.failedReason,
+    stacktrace: job.stacktrace, // One entry per failed attempt
+    attemptsMade: job.attemptsMade,
+    createdAt: job.timestamp,
+    failedAt: job.finishedOn,
+  }, {
+    jobId: deadJobId(job.queueName, job.id),
+  });
+
+  await job.remove();
+  return deadJob;
+}
+
+module.exports = { deadLetterQueue, deadJobId, moveToDeadLetter };
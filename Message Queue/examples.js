@@ -152,8 +152,8 @@ async function addRepeatingJob() {
   
   // This requires BullMQ Pro or you can use repeatability with patterns
   const job = await taskQueue.add(
-    'daily-report',
-    { type: 'summary' },
+    'generate-report', // Must be a task registered in tasks.js
+    { reportType: 'daily-summary' },
     {
       repeat: {
         pattern: '0 9 * * *', // Every day at 9 AM (cron syntax)
@@ -1,6 +1,8 @@
 const express = require('express');
-const { Queue } = require('bullmq');
+const { Queue, QueueEvents } = require('bullmq');
 const redisConnection = require('./redis');
+const { deadLetterQueue, deadJobId } = require('./deadLetter');
+const { TASKS, isRegisteredTask, validateTaskPayload, jobOptionsFor } = require('./tasks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -9,25 +11,85 @@ const PORT = process.env.PORT || 3000;
 const taskQueue = new Queue('tasks', {
   connection: redisConnection,
 });
+// Connection errors are emitted as 'error'; without a listener they crash the process
+taskQueue.on('error', (err) => console.error('Task queue error:', err));
+
+// Job transitions published by BullMQ through Redis (from any worker)
+const queueEvents = new QueueEvents('tasks', {
+  connection: redisConnection,
+});
+queueEvents.setMaxListeners(0); // One set of listeners per open stream
+queueEvents.on('error', (err) => console.error('Queue events error:', err));
+
+// Transitions pushed to SSE clients, and the ones that end a job stream
+const JOB_EVENTS = ['waiting', 'active', 'progress', 'delayed', 'completed', 'failed'];
+const FINAL_STATES = ['completed', 'failed'];
 
 app.use(express.json());
 
+// 400 response body for a task that isn't registered or a payload that
+// doesn't match its schema, or null when the job is fine to enqueue
+const payloadProblem = (task, data) => {
+  if (!isRegisteredTask(task)) {
+    return { error: `Unknown task '${task}'`, tasks: Object.keys(TASKS) };
+  }
+  const fields = validateTaskPayload(task, data);
+  return fields.length > 0 ? { error: 'Invalid payload', fields } : null;
+};
+
+// Same check for bulk operations, where a bad job is an error, not a response
+const assertValidPayload = (task, data) => {
+  const problem = payloadProblem(task, data);
+  if (problem) {
+    const details = (problem.fields || []).map(({ field, message }) => `${field} ${message}`);
+    throw new Error([problem.error, ...details].join('; '));
+  }
+};
+
+// Start an SSE response; returns send(type, data) in the same
+// { type, data } shape as the other demos
+const openEventStream = (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  req.on('close', () => clearInterval(heartbeat));
+
+  return (type, data) => res.write(`data: ${JSON.stringify({ type, data })}\n\n`);
+};
+
+// Call onEvent(type, payload) for every job transition; returns unsubscribe
+const subscribeToJobEvents = (onEvent) => {
+  const listeners = JOB_EVENTS.map((type) => {
+    // Progress arrives as { jobId, data }; name it like GET /job/:jobId does
+    const listener = type === 'progress'
+      ? ({ jobId, data }) => onEvent(type, { jobId, progress: data })
+      : (payload) => onEvent(type, payload);
+    queueEvents.on(type, listener);
+    return [type, listener];
+  });
+
+  return () => listeners.forEach(([type, listener]) => queueEvents.off(type, listener));
+};
+
 // Add a job to the queue
 app.post('/enqueue', async (req, res) => {
-  const { task, data } = req.body;
+  const { task, data = {} } = req.body || {};
   
   if (!task) {
     return res.status(400).json({ error: 'Task name is required' });
   }
 
+  const problem = payloadProblem(task, data);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+
   try {
-    const job = await taskQueue.add(task, data || {}, {
-      attempts: 3, // Retry up to 3 times on failure
-      backoff: {
-        type: 'exponential',
-        delay: 2000, // Start with 2 seconds delay
-      },
-    });
+    const job = await taskQueue.add(task, data, jobOptionsFor(task));
     
     res.json({ 
       success: true, 
@@ -41,42 +103,445 @@ app.post('/enqueue', async (req, res) => {
   }
 });
 
+// A job's current status, or null if there's no such job. Jobs out of
+// attempts are removed from the queue once they're in the dead-letter queue,
+// so those are answered from their dead copy until it's retried or discarded.
+const getJobStatus = async (jobId) => {
+  const job = await taskQueue.getJob(jobId);
+  if (job) {
+    return {
+      id: job.id,
+      name: job.name,
+      data: job.data,
+      state: await job.getState(),
+      progress: job.progress,
+      returnvalue: job.returnvalue,
+      failedReason: job.failedReason,
+    };
+  }
+
+  const deadJob = await deadLetterQueue.getJob(deadJobId(taskQueue.name, jobId));
+  if (!deadJob) {
+    return null;
+  }
+  return {
+    id: jobId,
+    name: deadJob.data.name,
+    data: deadJob.data.data,
+    state: 'failed',
+    progress: deadJob.data.progress,
+    returnvalue: null,
+    failedReason: deadJob.data.failedReason,
+    deadLetterJobId: deadJob.id,
+  };
+};
+
 // Get job status
 app.get('/job/:jobId', async (req, res) => {
   try {
-    const job = await taskQueue.getJob(req.params.jobId);
+    const status = await getJobStatus(req.params.jobId);
     
-    if (!job) {
+    if (!status) {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    const state = await job.getState();
-    const progress = job.progress;
-    
-    res.json({
-      id: job.id,
-      name: job.name,
-      data: job.data,
-      state,
-      progress,
-      returnvalue: job.returnvalue,
-      failedReason: job.failedReason,
-    });
+    res.json(status);
   } catch (err) {
     console.error('Error fetching job:', err);
     res.status(500).json({ error: 'Failed to fetch job status' });
   }
 });
 
+// List the registered tasks with their payload schemas and job options
+app.get('/tasks', (req, res) => {
+  res.json({
+    tasks: Object.keys(TASKS).map((name) => ({
+      name,
+      description: TASKS[name].description,
+      schema: TASKS[name].schema,
+      options: jobOptionsFor(name),
+    })),
+  });
+});
+
+// Stream one job's transitions until it completes or fails
+app.get('/job/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+
+  // Subscribe before reading the state, so a transition in between isn't
+  // missed; events are held until the current state has been sent
+  let pending = [];
+  let closed = false;
+  let forward = (type, payload) => pending.push([type, payload]);
+  const unsubscribe = subscribeToJobEvents((type, payload) => {
+    if (payload.jobId === jobId) forward(type, payload);
+  });
+
+  let status;
+  try {
+    status = await getJobStatus(jobId);
+  } catch (err) {
+    unsubscribe();
+    console.error('Error fetching job:', err);
+    return res.status(500).json({ error: 'Failed to fetch job status' });
+  }
+
+  if (!status) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const send = openEventStream(req, res);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    res.end();
+  };
+  req.on('close', close);
+
+  send('state', {
+    jobId: status.id,
+    name: status.name,
+    state: status.state,
+    progress: status.progress,
+    returnvalue: status.returnvalue,
+    failedReason: status.failedReason,
+  });
+  if (FINAL_STATES.includes(status.state)) {
+    return close();
+  }
+
+  forward = (type, payload) => {
+    if (closed) return;
+    send(type, payload);
+    if (FINAL_STATES.includes(type)) close();
+  };
+  pending.forEach(([type, payload]) => forward(type, payload));
+  pending = null;
+});
+
+// Stream transitions of every job in the queue
+app.get('/events', (req, res) => {
+  const send = openEventStream(req, res);
+  send('connected', { queue: taskQueue.name, events: JOB_EVENTS });
+
+  const unsubscribe = subscribeToJobEvents(send);
+  req.on('close', unsubscribe);
+});
+
+// ?page=1&pageSize=20 -> { page, pageSize, start, end }, or { error }
+const parsePagination = (query) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? 20 : Number(query.pageSize);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+    return { error: 'pageSize must be an integer between 1 and 100' };
+  }
+
+  const start = (page - 1) * pageSize;
+  return { page, pageSize, start, end: start + pageSize - 1 };
+};
+
+const isPayload = (data) => data !== null && typeof data === 'object' && !Array.isArray(data);
+
+const failedJobSummary = (job) => ({
+  id: job.id,
+  name: job.name,
+  data: job.data,
+  failedReason: job.failedReason,
+  stacktrace: job.stacktrace,
+  attemptsMade: job.attemptsMade,
+  createdAt: job.timestamp,
+  failedAt: job.finishedOn,
+});
+
+// Dead jobs carry the original job in their data (see deadLetter.js)
+const deadJobSummary = (deadJob) => ({
+  id: deadJob.id,
+  originalJobId: deadJob.data.jobId,
+  name: deadJob.data.name,
+  data: deadJob.data.data,
+  failedReason: deadJob.data.failedReason,
+  stacktrace: deadJob.data.stacktrace,
+  attemptsMade: deadJob.data.attemptsMade,
+  createdAt: deadJob.data.createdAt,
+  failedAt: deadJob.data.failedAt,
+  deadAt: deadJob.timestamp,
+});
+
+// Put a failed job back in the queue with a fresh set of attempts
+const retryFailedJob = async (job) => {
+  assertValidPayload(job.name, job.data);
+  await job.retry('failed', { resetAttemptsMade: true });
+};
+
+// Re-enqueue a dead job's (possibly edited) payload as a new job
+const retryDeadJob = async (deadJob) => {
+  const { name, data } = deadJob.data;
+  assertValidPayload(name, data);
+  const job = await taskQueue.add(name, data, jobOptionsFor(name));
+  await deadJob.remove();
+  return job;
+};
+
+// Apply fn to every job in a set, 100 at a time. The set is read once up
+// front, so retried jobs that fail again during the loop aren't retried twice.
+const forEachJob = async (fetchJobs, fn) => {
+  const jobs = (await fetchJobs()).filter(Boolean);
+  let handled = 0;
+  const errors = [];
+
+  for (let i = 0; i < jobs.length; i += 100) {
+    const batch = jobs.slice(i, i + 100);
+    const results = await Promise.allSettled(batch.map((job) => fn(job)));
+    results.forEach((result, j) => {
+      if (result.status === 'fulfilled') {
+        handled++;
+      } else {
+        errors.push({ id: batch[j].id, error: result.reason.message });
+      }
+    });
+  }
+
+  return { handled, errors };
+};
+
+// List failed jobs that haven't been moved to the dead-letter queue. The
+// worker moves every job that runs out of attempts, so this is normally
+// empty: only jobs whose move failed (Redis trouble mid-move, or a worker
+// that was stopped in between) are left here.
+app.get('/failed', async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    return res.status(400).json({ error: pagination.error });
+  }
+
+  try {
+    const { page, pageSize, start, end } = pagination;
+    const [jobs, total] = await Promise.all([
+      taskQueue.getFailed(start, end),
+      taskQueue.getFailedCount(),
+    ]);
+
+    res.json({ page, pageSize, total, jobs: jobs.filter(Boolean).map(failedJobSummary) });
+  } catch (err) {
+    console.error('Error fetching failed jobs:', err);
+    res.status(500).json({ error: 'Failed to fetch failed jobs' });
+  }
+});
+
+// Retry every failed job
+app.post('/failed/retry', async (req, res) => {
+  try {
+    const { handled, errors } = await forEachJob(() => taskQueue.getFailed(), retryFailedJob);
+
+    res.json({ success: true, message: `Retried ${handled} failed jobs`, retried: handled, errors });
+  } catch (err) {
+    console.error('Error retrying failed jobs:', err);
+    res.status(500).json({ error: 'Failed to retry failed jobs' });
+  }
+});
+
+// Look up a job and make sure it's in the failed set
+const findFailedJob = async (req, res) => {
+  const job = await taskQueue.getJob(req.params.jobId);
+  if (!job || (await job.getState()) !== 'failed') {
+    res.status(404).json({ error: 'Failed job not found' });
+    return null;
+  }
+  return job;
+};
+
+// Retry one failed job
+app.post('/failed/:jobId/retry', async (req, res) => {
+  try {
+    const job = await findFailedJob(req, res);
+    if (!job) return;
+
+    // Fix the payload with PATCH /failed/:jobId first
+    const problem = payloadProblem(job.name, job.data);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    await retryFailedJob(job);
+    res.json({ success: true, message: 'Job moved back to the queue', jobId: job.id });
+  } catch (err) {
+    console.error('Error retrying job:', err);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Replace a failed job's payload before retrying it
+app.patch('/failed/:jobId', async (req, res) => {
+  const { data } = req.body || {};
+  if (!isPayload(data)) {
+    return res.status(400).json({ error: 'data must be an object' });
+  }
+
+  try {
+    const job = await findFailedJob(req, res);
+    if (!job) return;
+
+    const problem = payloadProblem(job.name, data);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    await job.updateData(data);
+    res.json({ success: true, message: 'Job payload updated', job: failedJobSummary(job) });
+  } catch (err) {
+    console.error('Error updating job:', err);
+    res.status(500).json({ error: 'Failed to update job' });
+  }
+});
+
+// Discard a failed job
+app.delete('/failed/:jobId', async (req, res) => {
+  try {
+    const job = await findFailedJob(req, res);
+    if (!job) return;
+
+    await job.remove();
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error discarding job:', err);
+    res.status(500).json({ error: 'Failed to discard job' });
+  }
+});
+
+// List dead jobs, oldest first
+app.get('/dead-letter', async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    return res.status(400).json({ error: pagination.error });
+  }
+
+  try {
+    const { page, pageSize, start, end } = pagination;
+    const [jobs, total] = await Promise.all([
+      deadLetterQueue.getWaiting(start, end),
+      deadLetterQueue.getWaitingCount(),
+    ]);
+
+    res.json({ page, pageSize, total, jobs: jobs.filter(Boolean).map(deadJobSummary) });
+  } catch (err) {
+    console.error('Error fetching dead jobs:', err);
+    res.status(500).json({ error: 'Failed to fetch dead-letter queue' });
+  }
+});
+
+// Re-enqueue every dead job
+app.post('/dead-letter/retry', async (req, res) => {
+  try {
+    const { handled, errors } = await forEachJob(() => deadLetterQueue.getWaiting(), retryDeadJob);
+
+    res.json({ success: true, message: `Re-enqueued ${handled} dead jobs`, retried: handled, errors });
+  } catch (err) {
+    console.error('Error retrying dead jobs:', err);
+    res.status(500).json({ error: 'Failed to retry dead jobs' });
+  }
+});
+
+const findDeadJob = async (req, res) => {
+  const deadJob = await deadLetterQueue.getJob(req.params.jobId);
+  if (!deadJob) {
+    res.status(404).json({ error: 'Dead job not found' });
+    return null;
+  }
+  return deadJob;
+};
+
+// Get one dead job with its full error history
+app.get('/dead-letter/:jobId', async (req, res) => {
+  try {
+    const deadJob = await findDeadJob(req, res);
+    if (!deadJob) return;
+
+    res.json(deadJobSummary(deadJob));
+  } catch (err) {
+    console.error('Error fetching dead job:', err);
+    res.status(500).json({ error: 'Failed to fetch dead job' });
+  }
+});
+
+// Re-enqueue one dead job as a new job
+app.post('/dead-letter/:jobId/retry', async (req, res) => {
+  try {
+    const deadJob = await findDeadJob(req, res);
+    if (!deadJob) return;
+
+    // Fix the payload with PATCH /dead-letter/:jobId first
+    const problem = payloadProblem(deadJob.data.name, deadJob.data.data);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const job = await retryDeadJob(deadJob);
+    res.json({
+      success: true,
+      message: 'Job added to queue',
+      jobId: job.id,
+      jobName: job.name,
+    });
+  } catch (err) {
+    console.error('Error retrying dead job:', err);
+    res.status(500).json({ error: 'Failed to retry dead job' });
+  }
+});
+
+// Replace a dead job's payload before retrying it
+app.patch('/dead-letter/:jobId', async (req, res) => {
+  const { data } = req.body || {};
+  if (!isPayload(data)) {
+    return res.status(400).json({ error: 'data must be an object' });
+  }
+
+  try {
+    const deadJob = await findDeadJob(req, res);
+    if (!deadJob) return;
+
+    const problem = payloadProblem(deadJob.data.name, data);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    await deadJob.updateData({ ...deadJob.data, data });
+    res.json({ success: true, message: 'Job payload updated', job: deadJobSummary(deadJob) });
+  } catch (err) {
+    console.error('Error updating dead job:', err);
+    res.status(500).json({ error: 'Failed to update dead job' });
+  }
+});
+
+// Discard a dead job for good
+app.delete('/dead-letter/:jobId', async (req, res) => {
+  try {
+    const deadJob = await findDeadJob(req, res);
+    if (!deadJob) return;
+
+    await deadJob.remove();
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error discarding dead job:', err);
+    res.status(500).json({ error: 'Failed to discard dead job' });
+  }
+});
+
 // Get queue stats
 app.get('/stats', async (req, res) => {
   try {
-    const [waiting, active, completed, failed, delayed] = await Promise.all([
+    const [waiting, active, completed, failed, delayed, dead] = await Promise.all([
       taskQueue.getWaitingCount(),
       taskQueue.getActiveCount(),
       taskQueue.getCompletedCount(),
       taskQueue.getFailedCount(),
       taskQueue.getDelayedCount(),
+      deadLetterQueue.getWaitingCount(),
     ]);
 
     res.json({
@@ -86,6 +551,7 @@ app.get('/stats', async (req, res) => {
       failed,
       delayed,
       total: waiting + active + completed + failed + delayed,
+      dead, // In the dead-letter queue, not counted in total
     });
   } catch (err) {
     console.error('Error fetching stats:', err);
@@ -106,11 +572,15 @@ app.listen(PORT, (err) => {
   console.log(`🚀 Message Queue Producer running on port ${PORT}`);
   console.log(`📝 Add jobs: POST http://localhost:${PORT}/enqueue`);
   console.log(`📊 View stats: GET http://localhost:${PORT}/stats`);
+  console.log(`📡 Stream events: GET http://localhost:${PORT}/events`);
+  console.log(`☠️  Dead letters: GET http://localhost:${PORT}/dead-letter`);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing queue...');
+  await queueEvents.close();
   await taskQueue.close();
+  await deadLetterQueue.close();
   process.exit(0);
 });
\ No newline at end of file
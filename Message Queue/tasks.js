@@ -0,0 +1,182 @@
+// Task registry: every task the queue accepts, the JSON schema its payload
+// must match, and the job options it's enqueued with. The producer rejects
+// anything that doesn't match and the worker refuses unregistered tasks.
+
+// Options every job gets unless its task overrides them
+const DEFAULT_JOB_OPTIONS = {
+  attempts: 3, // Retry up to 3 times on failure
+  backoff: {
+    type: 'exponential',
+    delay: 2000, // Start with 2 seconds delay
+  },
+};
+
+const TASKS = {
+  'send-email': {
+    description: 'Send an email',
+    schema: {
+      type: 'object',
+      required: ['to', 'subject'],
+      additionalProperties: false,
+      properties: {
+        to: { type: 'string', format: 'email' },
+        subject: { type: 'string', minLength: 1, maxLength: 200 },
+        body: { type: 'string' },
+      },
+    },
+    options: {
+      attempts: 5, // Mail servers flake; worth a few more tries
+    },
+  },
+
+  'process-image': {
+    description: 'Download an image and apply operations to it',
+    schema: {
+      type: 'object',
+      required: ['imageUrl'],
+      additionalProperties: false,
+      properties: {
+        imageUrl: { type: 'string', format: 'uri' },
+        operations: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', enum: ['resize', 'optimize', 'watermark', 'crop', 'grayscale'] },
+        },
+      },
+    },
+  },
+
+  'generate-report': {
+    description: 'Generate a report over a date range',
+    schema: {
+      type: 'object',
+      required: ['reportType'],
+      additionalProperties: false,
+      properties: {
+        reportType: { type: 'string', minLength: 1 },
+        dateRange: { type: 'string' },
+      },
+    },
+    options: {
+      attempts: 2,
+      backoff: { type: 'fixed', delay: 5000 },
+    },
+  },
+
+  'custom-task': {
+    description: 'Generic task that echoes its payload back',
+    schema: {
+      type: 'object',
+      properties: {
+        shouldFail: { type: 'boolean' }, // Fail every attempt (to try retries and the dead-letter queue)
+      },
+    },
+  },
+};
+
+// Formats the registry uses, with deliberately loose checks
+const FORMATS = {
+  email: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+  uri: /^https?:\/\/\S+$/,
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Check a value against the subset of JSON Schema the registry uses
+// (type, required, properties, additionalProperties, items, enum, format,
+// minLength, maxLength, pattern, minimum, maximum, minItems, maxItems).
+// Returns [{ field, message }], empty when valid.
+function validate(value, schema, field) {
+  const errors = [];
+  const fail = (message) => errors.push({ field, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format && !FORMATS[schema.format].test(value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${field}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const path = (key) => `${field}.${key}`;
+
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) => errors.push({ field: path(key), message: 'is required' }));
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        errors.push(...validate(propertyValue, properties[key], path(key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: path(key), message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+const isRegisteredTask = (name) => Object.prototype.hasOwnProperty.call(TASKS, name);
+
+// Field-level problems with a task's payload (paths like data.to), empty when it's valid
+function validateTaskPayload(name, data) {
+  return validate(data, TASKS[name].schema, 'data');
+}
+
+function jobOptionsFor(name) {
+  return { ...DEFAULT_JOB_OPTIONS, ...TASKS[name].options };
+}
+
+module.exports = {
+  TASKS,
+  isRegisteredTask,
+  validateTaskPayload,
+  jobOptionsFor,
+};
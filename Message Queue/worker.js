@@ -1,5 +1,7 @@
-const { Worker } = require('bullmq');
+const { Worker, UnrecoverableError } = require('bullmq');
 const redisConnection = require('./redis');
+const { deadLetterQueue, moveToDeadLetter } = require('./deadLetter');
+const { isRegisteredTask, validateTaskPayload } = require('./tasks');
 
 // Create a worker that processes jobs from the 'tasks' queue
 const worker = new Worker(
@@ -8,6 +10,18 @@ const worker = new Worker(
     console.log(`Processing job ${job.id}: ${job.name}`);
     console.log('Job data:', JSON.stringify(job.data, null, 2));
 
+    // Jobs can be added without going through the API (see examples.js), so
+    // check them against the registry again. UnrecoverableError fails the job
+    // without retrying - another attempt wouldn't change the outcome.
+    if (!isRegisteredTask(job.name)) {
+      throw new UnrecoverableError(`Unregistered task '${job.name}'`);
+    }
+    const problems = validateTaskPayload(job.name, job.data);
+    if (problems.length > 0) {
+      const details = problems.map(({ field, message }) => `${field} ${message}`).join('; ');
+      throw new UnrecoverableError(`Invalid payload for '${job.name}': ${details}`);
+    }
+
     // Simulate different task types
     switch (job.name) {
       case 'send-email':
@@ -101,6 +115,11 @@ async function processReportTask(job) {
 async function processGenericTask(job) {
   await updateProgress(job, 50, 'Processing task...');
   await sleep(2000);
+
+  // Lets you watch retries and the dead-letter queue in action
+  if (job.data.shouldFail) {
+    throw new Error(`Simulated failure (attempt ${job.attemptsMade + 1})`);
+  }
   
   await updateProgress(job, 100, 'Task completed!');
   
@@ -123,13 +142,26 @@ function sleep(ms) {
 }
 
 // Event listeners
+// Connection errors are emitted as 'error'; without a listener they crash the process
+worker.on('error', (err) => console.error('Worker error:', err));
+
 worker.on('completed', (job, returnvalue) => {
   console.log(`Job ${job.id} completed successfully`);
   console.log('Result:', JSON.stringify(returnvalue, null, 2));
 });
 
-worker.on('failed', (job, err) => {
+worker.on('failed', async (job, err) => {
   console.error(`Job ${job.id} failed:`, err.message);
+
+  try {
+    const deadJob = await moveToDeadLetter(job);
+    if (deadJob) {
+      console.error(`  ☠️ Job ${job.id} is out of attempts, moved to dead-letter queue as ${deadJob.id}`);
+    }
+  } catch (moveErr) {
+    // The job stays in the failed set, where the API can still retry it
+    console.error(`  Could not move job ${job.id} to the dead-letter queue:`, moveErr.message);
+  }
 });
 
 worker.on('active', (job) => {
@@ -149,11 +181,13 @@ console.log('⏸Press Ctrl+C to stop the worker\n');
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing worker...');
   await worker.close();
+  await deadLetterQueue.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, closing worker...');
   await worker.close();
+  await deadLetterQueue.close();
   process.exit(0);
 });
@@ -0,0 +1,162 @@
+/**
+ * Access Control: allow/deny lists and temporary bans
+ *
+ * Runs before any rate limiting algorithm:
+ * - Allowlist: matching clients skip every limiter (health checkers, internal services)
+ * - Blocklist: matching clients always get 403
+ * - Penalty box: a client that collects `threshold` consecutive 429s is
+ *   banned (403) for `durationMs`; any other rate limited response resets the count
+ *
+ * List entries are IPs, IPv4 CIDR ranges ("10.0.0.0/8") or API keys
+ * written as "key:<api key>". Bans live in the given store, so a Redis
+ * store shares them across servers.
+ */
+
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, ipKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { ipInList } from './ipUtils.js';
+
+const BAN_PREFIX = 'ban:';
+const STRIKE_PREFIX = 'strikes:';
+
+// "key:abc" entries are API keys, everything else is an IP or CIDR
+function parseList(entries = []) {
+  return {
+    ips: entries.filter(entry => !entry.startsWith('key:')),
+    apiKeys: entries.filter(entry => entry.startsWith('key:')).map(entry => entry.slice(4))
+  };
+}
+
+/**
+ * options:
+ * - allow / deny:  list entries (see above)
+ * - threshold:     consecutive 429s before a ban (0 disables bans)
+ * - durationMs:    ban length
+ * - store:         where bans and strike counts live
+ * - keyGenerator:  who a ban applies to (same as the limiters)
+ * - ipKey:         resolves the client IP for list matching
+ * - apiKeyHeader:  header checked against "key:" entries
+ */
+export function createAccessControl({
+  allow = [],
+  deny = [],
+  threshold = 5,
+  durationMs = 10 * 60 * 1000,
+  store = new MemoryStore(),
+  keyGenerator = defaultKeyGenerator,
+  ipKey = ipKeyGenerator(),
+  apiKeyHeader = 'x-api-key'
+} = {}) {
+  const allowList = parseList(allow);
+  const denyList = parseList(deny);
+
+  function listed(req, list) {
+    const apiKey = req.headers[apiKeyHeader];
+    return ipInList(ipKey(req).id, list.ips) || (apiKey !== undefined && list.apiKeys.includes(apiKey));
+  }
+
+  async function ban(client, { durationMs: banMs = durationMs, reason = 'manual' } = {}) {
+    const record = {
+      ...parseClientKey(client),
+      reason,
+      bannedAt: new Date().toISOString(),
+      until: Date.now() + banMs
+    };
+    await store.set(BAN_PREFIX + client, record, banMs);
+    return record;
+  }
+
+  async function liftBan(client) {
+    await store.delete(STRIKE_PREFIX + client);
+    return store.delete(BAN_PREFIX + client);
+  }
+
+  async function listBans() {
+    const now = Date.now();
+    return (await store.entries(BAN_PREFIX))
+      .map(([, record]) => record)
+      .filter(record => record.until > now)
+      .map(record => ({ ...record, retryAfter: Math.ceil((record.until - now) / 1000) }));
+  }
+
+  // Count consecutive 429s for a client; ban once it reaches the threshold
+  async function recordOutcome(client, statusCode) {
+    if (statusCode !== 429) {
+      // Only clients with strikes have anything to reset
+      if (await store.get(STRIKE_PREFIX + client)) await store.delete(STRIKE_PREFIX + client);
+      return;
+    }
+
+    const strikes = await store.update(STRIKE_PREFIX + client, (state) => {
+      const count = (state ? state.count : 0) + 1;
+      return { result: count, state: { count } };
+    }, durationMs);
+
+    if (strikes >= threshold) {
+      await store.delete(STRIKE_PREFIX + client);
+      const record = await ban(client, { reason: `${strikes} consecutive rate limit rejections` });
+      console.log(`🚫 Banned ${client} until ${new Date(record.until).toISOString()}`);
+    }
+  }
+
+  async function middleware(req, res, next) {
+    if (listed(req, allowList)) {
+      // Limiters wrapped with skipIfAllowed() let this request through
+      req.rateLimitAllowed = true;
+      return next();
+    }
+
+    if (listed(req, denyList)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Client is blocked'
+      });
+    }
+
+    const client = clientKey(req, keyGenerator);
+
+    let record;
+    try {
+      record = await store.get(BAN_PREFIX + client);
+    } catch (error) {
+      // Fail open - don't block traffic because bans can't be read
+      console.error('Ban store error:', error.message);
+      return next();
+    }
+
+    if (record && record.until > Date.now()) {
+      const retryAfter = Math.ceil((record.until - Date.now()) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Temporarily banned (${record.reason}). Retry in ${retryAfter} seconds.`,
+        bannedUntil: new Date(record.until).toISOString(),
+        retryAfter
+      });
+    }
+
+    if (threshold > 0) {
+      res.once('finish', () => {
+        // Only responses a limiter decided on count (X-RateLimit-Algorithm is always set)
+        if (!res.getHeader('X-RateLimit-Algorithm')) return;
+        recordOutcome(client, res.statusCode)
+          .catch(error => console.error('Ban store error:', error.message));
+      });
+    }
+
+    next();
+  }
+
+  return {
+    middleware,
+    ban,
+    liftBan,
+    listBans,
+    getConfig: () => ({ allow, deny, threshold, durationMs })
+  };
+}
+
+// Let allowlisted requests skip a limiter
+export function skipIfAllowed(middleware) {
+  return (req, res, next) => (req.rateLimitAllowed ? next() : middleware(req, res, next));
+}
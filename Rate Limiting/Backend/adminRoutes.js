@@ -0,0 +1,256 @@
+/**
+ * Admin API
+ *
+ * Manage quota plans, API keys, bans, the rules file and individual clients'
+ * limits at runtime (no restart needed).
+ * Every route requires `Authorization: Bearer <ADMIN_TOKEN>`; the API is
+ * disabled when ADMIN_TOKEN is not set.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import {
+  ALGORITHM_PARAMS,
+  validateLimits,
+  getPlans,
+  getPlan,
+  setPlan,
+  updatePlanLimits,
+  isPlanInUse,
+  deletePlan,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  assignPlan,
+  revokeApiKey
+} from './plans.js';
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// True when the request carries the admin token (for routes that show admins more)
+export function hasAdminToken(req) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return Boolean(adminToken) && scheme === 'Bearer' && Boolean(token) && tokensMatch(token, adminToken);
+}
+
+export function requireAdminToken(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Admin API is disabled (set ADMIN_TOKEN to enable it)'
+    });
+  }
+
+  if (!hasAdminToken(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing or invalid admin token'
+    });
+  }
+
+  next();
+}
+
+function badRequest(res, message, details) {
+  return res.status(400).json({ error: 'Bad Request', message, details });
+}
+
+function notFound(res, message) {
+  return res.status(404).json({ error: 'Not Found', message });
+}
+
+// rules: the rules engine, when a rules file is loaded
+// access: allow/deny lists and bans (see accessControl.js)
+// limits: per-client limiter state (see clientLimits.js)
+export function createAdminRouter({ rules = null, access = null, limits = null } = {}) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // ======================
+  // PLANS
+  // ======================
+
+  router.get('/plans', (req, res) => {
+    res.json({ plans: getPlans(), algorithms: ALGORITHM_PARAMS });
+  });
+
+  router.get('/plans/:plan', (req, res) => {
+    const plan = getPlan(req.params.plan);
+    if (!plan) return notFound(res, `Plan '${req.params.plan}' does not exist`);
+    res.json({ plan: req.params.plan, limits: plan });
+  });
+
+  // Create or replace a plan: { limits: { 'token-bucket': { capacity, refillRate }, ... } }
+  router.put('/plans/:plan', (req, res) => {
+    const { limits } = req.body || {};
+    const errors = validateLimits(limits);
+    if (errors.length > 0) return badRequest(res, 'Invalid plan limits', errors);
+
+    res.json({ plan: req.params.plan, limits: setPlan(req.params.plan, limits) });
+  });
+
+  // Change one algorithm's limits live: { capacity: 20 }
+  router.patch('/plans/:plan/limits/:algorithm', (req, res) => {
+    const { plan, algorithm } = req.params;
+    if (!getPlan(plan)) return notFound(res, `Plan '${plan}' does not exist`);
+
+    const errors = validateLimits({ [algorithm]: req.body });
+    if (errors.length > 0) return badRequest(res, 'Invalid limits', errors);
+
+    res.json({ plan, algorithm, limits: updatePlanLimits(plan, algorithm, req.body) });
+  });
+
+  router.delete('/plans/:plan', (req, res) => {
+    const { plan } = req.params;
+    if (!getPlan(plan)) return notFound(res, `Plan '${plan}' does not exist`);
+    if (isPlanInUse(plan)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Plan '${plan}' is the default plan or still assigned to API keys`
+      });
+    }
+
+    deletePlan(plan);
+    res.status(204).end();
+  });
+
+  // ======================
+  // API KEYS
+  // ======================
+
+  router.get('/keys', (req, res) => {
+    res.json({ keys: listApiKeys() });
+  });
+
+  // { plan: 'pro', name: 'Acme Corp' }
+  router.post('/keys', (req, res) => {
+    const { plan = 'free', name = '' } = req.body || {};
+    if (!getPlan(plan)) return badRequest(res, `Plan '${plan}' does not exist`);
+
+    res.status(201).json(createApiKey({ plan, name }));
+  });
+
+  router.get('/keys/:key', (req, res) => {
+    const record = getApiKey(req.params.key);
+    if (!record) return notFound(res, 'API key not found');
+    res.json(record);
+  });
+
+  // { plan: 'enterprise' }
+  router.patch('/keys/:key', (req, res) => {
+    const { plan } = req.body || {};
+    if (!getApiKey(req.params.key)) return notFound(res, 'API key not found');
+    if (!getPlan(plan)) return badRequest(res, `Plan '${plan}' does not exist`);
+
+    res.json(assignPlan(req.params.key, plan));
+  });
+
+  router.delete('/keys/:key', (req, res) => {
+    if (!revokeApiKey(req.params.key)) return notFound(res, 'API key not found');
+    res.status(204).end();
+  });
+
+  // ======================
+  // BANS
+  // ======================
+
+  router.get('/bans', async (req, res) => {
+    if (!access) return notFound(res, 'Access control is not enabled');
+    res.json({ ...access.getConfig(), bans: await access.listBans() });
+  });
+
+  // Ban a client by hand: { client: 'ip:1.2.3.4', durationMs: 60000 }
+  router.post('/bans', async (req, res) => {
+    if (!access) return notFound(res, 'Access control is not enabled');
+    const { client, durationMs } = req.body || {};
+    if (typeof client !== 'string' || !client.includes(':')) {
+      return badRequest(res, 'client must be a client key like "ip:1.2.3.4" or "api-key:rl_..."');
+    }
+    if (durationMs !== undefined && !(typeof durationMs === 'number' && durationMs > 0)) {
+      return badRequest(res, 'durationMs must be a positive number');
+    }
+
+    res.status(201).json(await access.ban(client, { durationMs }));
+  });
+
+  // Lift a ban (client key URL-encoded, e.g. ip%3A1.2.3.4)
+  router.delete('/bans/:client', async (req, res) => {
+    if (!access) return notFound(res, 'Access control is not enabled');
+    if (!(await access.liftBan(req.params.client))) return notFound(res, 'Client is not banned');
+    res.status(204).end();
+  });
+
+  // ======================
+  // RULES FILE
+  // ======================
+
+  router.get('/rules', (req, res) => {
+    if (!rules) return notFound(res, 'No rules file loaded');
+    res.json({ ...rules.getStatus(), rules: rules.getRules() });
+  });
+
+  // Reload now instead of waiting for the file watcher
+  router.post('/rules/reload', (req, res) => {
+    if (!rules) return notFound(res, 'No rules file loaded');
+    if (!rules.reload()) {
+      return badRequest(res, 'Rules file rejected, previous rules kept', rules.getStatus().lastError);
+    }
+    res.json({ ...rules.getStatus(), rules: rules.getRules() });
+  });
+
+  // ======================
+  // CLIENT LIMITS
+  // ======================
+
+  // Shared checks for /limits/:algorithm/:clientId (client key URL-encoded,
+  // e.g. ip%3A1.2.3.4); store errors (e.g. Redis down) become 503
+  const clientRoute = (handler) => async (req, res) => {
+    if (!limits) return notFound(res, 'Client limits are not enabled');
+    const { algorithm, clientId } = req.params;
+    if (!limits.supports(algorithm)) {
+      return notFound(res, `Unknown algorithm '${algorithm}' (expected ${limits.algorithms.join(', ')})`);
+    }
+
+    try {
+      await handler(req, res, algorithm, clientId);
+    } catch (error) {
+      res.status(503).json({ error: 'Service Unavailable', message: error.message });
+    }
+  };
+
+  router.get('/limits/:algorithm/:clientId', clientRoute(async (req, res, algorithm, clientId) => {
+    const state = await limits.get(algorithm, clientId);
+    if (!state) return notFound(res, 'Client has no rate limit state (full allowance)');
+    res.json({ algorithm, ...state });
+  }));
+
+  // Reset a client to a full allowance
+  router.delete('/limits/:algorithm/:clientId', clientRoute(async (req, res, algorithm, clientId) => {
+    if (!(await limits.reset(algorithm, clientId))) {
+      return notFound(res, 'Client has no rate limit state (full allowance)');
+    }
+    res.status(204).end();
+  }));
+
+  // Top up (or drain) a client: { remaining: 5 }
+  router.patch('/limits/:algorithm/:clientId', clientRoute(async (req, res, algorithm, clientId) => {
+    const { remaining } = req.body || {};
+    if (!limits.canSetRemaining(algorithm)) {
+      return badRequest(res, `${algorithm} has no budget to top up; DELETE releases the client's slots instead`);
+    }
+    if (typeof remaining !== 'number' || !(remaining >= 0)) {
+      return badRequest(res, 'remaining must be a non-negative number');
+    }
+
+    const state = await limits.setRemaining(algorithm, clientId, remaining);
+    if (!state) return notFound(res, 'Client has no rate limit state (full allowance)');
+    res.json({ algorithm, ...state });
+  }));
+
+  return router;
+}
@@ -0,0 +1,99 @@
+/**
+ * Client Limits
+ *
+ * Look up, reset or top up a single client's limiter state, for any
+ * algorithm and wherever its state lives (in-process store or Redis).
+ * Clients are identified by their full client key, e.g. "ip:127.0.0.1"
+ * or "api-key:rl_...".
+ *
+ * Used by the admin API for support cases ("my key is stuck at 429").
+ */
+
+import { getTokenBucketClient, resetTokenBucketClient, setTokenBucketRemaining } from './tokenBucket.js';
+import { getSlidingWindowClient, resetSlidingWindowClient, setSlidingWindowRemaining } from './slidingWindow.js';
+import { getFixedWindowClient, resetFixedWindowClient, setFixedWindowRemaining } from './fixedWindow.js';
+import {
+  getSlidingWindowCounterClient,
+  resetSlidingWindowCounterClient,
+  setSlidingWindowCounterRemaining
+} from './slidingWindowCounter.js';
+import { getLeakyBucketClient, resetLeakyBucketClient, setLeakyBucketRemaining } from './leakyBucket.js';
+import { getGcraClient, resetGcraClient, setGcraRemaining } from './gcra.js';
+import { getConcurrencyLimitClient, resetConcurrencyLimitClient } from './concurrencyLimit.js';
+import { getDistributedClient, resetDistributedClient, setDistributedRemaining } from './distributedRedis.js';
+import {
+  getDistributedTokenBucketClient,
+  resetDistributedTokenBucketClient,
+  setDistributedTokenBucketRemaining
+} from './distributedTokenBucket.js';
+import {
+  getDistributedFixedWindowClient,
+  resetDistributedFixedWindowClient,
+  setDistributedFixedWindowRemaining
+} from './distributedFixedWindow.js';
+import { planLimitsForClient } from './plans.js';
+
+// In-process algorithms keep their limits with the state, so they only need the store
+const IN_PROCESS = {
+  'token-bucket': { get: getTokenBucketClient, reset: resetTokenBucketClient, setRemaining: setTokenBucketRemaining },
+  'sliding-window': { get: getSlidingWindowClient, reset: resetSlidingWindowClient, setRemaining: setSlidingWindowRemaining },
+  'fixed-window': { get: getFixedWindowClient, reset: resetFixedWindowClient, setRemaining: setFixedWindowRemaining },
+  'sliding-counter': {
+    get: getSlidingWindowCounterClient,
+    reset: resetSlidingWindowCounterClient,
+    setRemaining: setSlidingWindowCounterRemaining
+  },
+  'leaky-bucket': { get: getLeakyBucketClient, reset: resetLeakyBucketClient, setRemaining: setLeakyBucketRemaining },
+  'gcra': { get: getGcraClient, reset: resetGcraClient, setRemaining: setGcraRemaining },
+  // In-flight requests can be released but there is no budget to top up
+  'concurrency': { get: getConcurrencyLimitClient, reset: resetConcurrencyLimitClient }
+};
+
+// Redis state has no limits in it, so top-ups use the client's plan
+const DISTRIBUTED = {
+  'distributed-redis': { get: getDistributedClient, reset: resetDistributedClient, setRemaining: setDistributedRemaining },
+  'distributed-token-bucket': {
+    get: getDistributedTokenBucketClient,
+    reset: resetDistributedTokenBucketClient,
+    setRemaining: setDistributedTokenBucketRemaining
+  },
+  'distributed-fixed-window': {
+    get: getDistributedFixedWindowClient,
+    reset: resetDistributedFixedWindowClient,
+    setRemaining: setDistributedFixedWindowRemaining
+  }
+};
+
+// storeFor: (algorithm) => store, the same stores the limiters use;
+// clock: () => current time in ms, the same clock the limiters use
+export function createClientLimits({ storeFor, clock = Date.now }) {
+  const supports = (algorithm) => Object.hasOwn(IN_PROCESS, algorithm) || Object.hasOwn(DISTRIBUTED, algorithm);
+
+  return {
+    algorithms: [...Object.keys(IN_PROCESS), ...Object.keys(DISTRIBUTED)],
+    supports,
+
+    canSetRemaining: (algorithm) => Boolean((IN_PROCESS[algorithm] || DISTRIBUTED[algorithm])?.setRemaining),
+
+    // null when the client has no state (i.e. a full allowance)
+    get(algorithm, clientId) {
+      if (DISTRIBUTED[algorithm]) return DISTRIBUTED[algorithm].get(clientId);
+      return IN_PROCESS[algorithm].get(clientId, storeFor(algorithm), clock);
+    },
+
+    // true if there was state to delete
+    reset(algorithm, clientId) {
+      if (DISTRIBUTED[algorithm]) return DISTRIBUTED[algorithm].reset(clientId);
+      return IN_PROCESS[algorithm].reset(clientId, storeFor(algorithm));
+    },
+
+    // New state, or null when the client has none (there is nothing to top up)
+    async setRemaining(algorithm, clientId, remaining) {
+      if (DISTRIBUTED[algorithm]) {
+        if (!(await DISTRIBUTED[algorithm].get(clientId))) return null;
+        return DISTRIBUTED[algorithm].setRemaining(clientId, remaining, planLimitsForClient(algorithm, clientId));
+      }
+      return IN_PROCESS[algorithm].setRemaining(clientId, remaining, storeFor(algorithm), clock);
+    }
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Concurrency Limit
+ *
+ * - Caps in-flight requests per client instead of request rate
+ * - Each admitted request holds a lease that is released when the response
+ *   finishes or the connection closes
+ * - Leases expire on their own (and are renewed while the request runs), so a
+ *   crashed server can't hold slots forever when state lives in Redis
+ * - Excess requests can wait in a small bounded queue before getting a 429
+ *
+ * Best for: Protecting slow endpoints (reports, exports) from pile-ups
+ */
+
+import crypto from 'crypto';
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+
+export class ConcurrencyLimit {
+  // state is the plain object previously saved in the store (null for a new client)
+  constructor(maxConcurrent, state = null, clock = Date.now) {
+    this.clock = clock; // () => current time in ms
+    this.maxConcurrent = maxConcurrent;
+    this.leases = state ? state.leases : {}; // leaseId -> expiresAt
+  }
+
+  // Drop leases whose holder stopped renewing them (e.g. the server crashed)
+  prune() {
+    const now = this.clock();
+    for (const [leaseId, expiresAt] of Object.entries(this.leases)) {
+      if (expiresAt <= now) delete this.leases[leaseId];
+    }
+  }
+
+  inFlight() {
+    return Object.keys(this.leases).length;
+  }
+
+  // Try to take a slot
+  acquire(leaseId, leaseMs) {
+    this.prune();
+
+    if (this.inFlight() < this.maxConcurrent) {
+      this.leases[leaseId] = this.clock() + leaseMs;
+      return {
+        allowed: true,
+        inFlight: this.inFlight(),
+        remaining: this.maxConcurrent - this.inFlight()
+      };
+    }
+
+    return {
+      allowed: false,
+      inFlight: this.inFlight(),
+      remaining: 0
+    };
+  }
+
+  // Push a held lease's expiry forward
+  renew(leaseId, leaseMs) {
+    if (this.leases[leaseId]) {
+      this.leases[leaseId] = this.clock() + leaseMs;
+    }
+  }
+
+  release(leaseId) {
+    delete this.leases[leaseId];
+    this.prune();
+  }
+
+  getStatus() {
+    this.prune();
+
+    return {
+      inFlight: this.inFlight(),
+      max: this.maxConcurrent
+    };
+  }
+
+  // Plain object saved in the store between requests
+  toJSON() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      leases: this.leases
+    };
+  }
+}
+
+// Default store (in-memory); pass { store } to share leases across servers
+const defaultStore = new MemoryStore();
+const KEY_PREFIX = 'concurrency:';
+
+// Requests waiting on this server, per client: clientId -> count
+const queued = new Map();
+// Wake-up callbacks of waiting requests: clientId -> Set
+const waiters = new Map();
+
+// Resolves when a local request for this client finishes, or after ms
+function waitForSlot(clientId, ms) {
+  return new Promise(resolve => {
+    if (!waiters.has(clientId)) waiters.set(clientId, new Set());
+    const queue = waiters.get(clientId);
+
+    const wake = () => {
+      clearTimeout(timer);
+      queue.delete(wake);
+      if (queue.size === 0) waiters.delete(clientId);
+      resolve();
+    };
+    const timer = setTimeout(wake, ms);
+    queue.add(wake);
+  });
+}
+
+function wakeNext(clientId) {
+  const queue = waiters.get(clientId);
+  if (queue) queue.values().next().value();
+}
+
+export function concurrencyLimitMiddleware(maxConcurrent = 2, {
+  store = defaultStore,
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  leaseMs = 30000,
+  maxQueue = 0,
+  queueTimeoutMs = 5000,
+  // Slots freed on other servers don't wake local waiters, so re-check this often
+  pollMs = 250,
+  // () => current time in ms for lease expiry; pass a fake clock to test without sleeping
+  clock = Date.now
+} = {}) {
+  return async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { maxConcurrent, ...limits(req) };
+
+    const clientId = clientKey(req, keyGenerator);
+    const key = KEY_PREFIX + clientId;
+    const leaseId = crypto.randomUUID();
+
+    const acquire = () => store.update(key, (state) => {
+      const limit = new ConcurrencyLimit(config.maxConcurrent, state, clock);
+      return { result: limit.acquire(leaseId, leaseMs), state: limit.toJSON() };
+    }, leaseMs);
+
+    // Give the slot back and let the next queued request for this client try
+    const releaseLease = () => store.update(key, (state) => {
+      const limit = new ConcurrencyLimit(config.maxConcurrent, state, clock);
+      limit.release(leaseId);
+      return { result: null, state: limit.toJSON() };
+    }, leaseMs)
+      .catch(error => console.error('Concurrency lease release error:', error.message))
+      .finally(() => wakeNext(clientId));
+
+    let closed = false;
+    res.once('close', () => { closed = true; });
+
+    let result;
+    try {
+      result = await acquire();
+
+      // Wait in line if there's room in this client's queue
+      if (!result.allowed && (queued.get(clientId) || 0) < maxQueue) {
+        queued.set(clientId, (queued.get(clientId) || 0) + 1);
+        const deadline = Date.now() + queueTimeoutMs;
+        try {
+          while (!result.allowed && !closed && Date.now() < deadline) {
+            await waitForSlot(clientId, Math.min(pollMs, deadline - Date.now()));
+            if (!closed) result = await acquire();
+          }
+        } finally {
+          const remaining = queued.get(clientId) - 1;
+          if (remaining > 0) queued.set(clientId, remaining);
+          else queued.delete(clientId);
+        }
+      }
+    } catch (error) {
+      // Fail open - allow the request if the store is unavailable
+      console.error('Concurrency limit store error:', error.message);
+      return next();
+    }
+
+    // Gave up waiting because the client went away
+    if (closed) {
+      if (result.allowed) releaseLease();
+      return;
+    }
+
+    res.setHeader('X-RateLimit-Algorithm', 'concurrency');
+    res.setHeader('X-Concurrency-Limit', config.maxConcurrent);
+    res.setHeader('X-Concurrency-Remaining', result.remaining);
+
+    if (!result.allowed) {
+      res.setHeader('Retry-After', 1);
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Too many concurrent requests. At most ${config.maxConcurrent} may be in flight.`,
+        algorithm: 'concurrency',
+        limit: config.maxConcurrent,
+        inFlight: result.inFlight,
+        retryAfter: 1
+      });
+    }
+
+    // Keep the lease alive for requests that outlast it
+    const renewal = setInterval(() => {
+      store.update(key, (state) => {
+        const limit = new ConcurrencyLimit(config.maxConcurrent, state, clock);
+        limit.renew(leaseId, leaseMs);
+        return { result: null, state: limit.toJSON() };
+      }, leaseMs).catch(error => console.error('Concurrency lease renewal error:', error.message));
+    }, leaseMs / 2);
+    renewal.unref();
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      clearInterval(renewal);
+      releaseLease();
+    };
+
+    // 'finish' when the response is sent, 'close' if the client disconnects first
+    res.once('finish', release);
+    res.once('close', release);
+
+    next();
+  };
+}
+
+export async function getConcurrencyLimitStats(store = defaultStore, clock = Date.now) {
+  try {
+    const entries = await store.entries(KEY_PREFIX);
+    return entries.map(([key, state]) => {
+      const limit = new ConcurrencyLimit(state.maxConcurrent, state, clock);
+      return {
+        ...parseClientKey(key.slice(KEY_PREFIX.length)),
+        ...limit.getStatus(),
+        queued: queued.get(key.slice(KEY_PREFIX.length)) || 0
+      };
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin: one client's leases, or null if it has none
+export async function getConcurrencyLimitClient(clientId, store = defaultStore, clock = Date.now) {
+  const state = await store.get(KEY_PREFIX + clientId);
+  if (!state) return null;
+
+  const limit = new ConcurrencyLimit(state.maxConcurrent, state, clock);
+  return {
+    ...parseClientKey(clientId),
+    ...limit.getStatus(),
+    queued: queued.get(clientId) || 0
+  };
+}
+
+// Admin: drop every lease the client holds (running requests keep running,
+// they just stop counting) and let queued requests try again
+export async function resetConcurrencyLimitClient(clientId, store = defaultStore) {
+  const deleted = await store.delete(KEY_PREFIX + clientId);
+  [...(waiters.get(clientId) || [])].forEach(wake => wake());
+  return deleted;
+}
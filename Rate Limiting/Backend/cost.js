@@ -0,0 +1,60 @@
+/**
+ * Request Cost
+ *
+ * Every middleware accepts a { cost } option so expensive endpoints
+ * (reports, exports) can spend more budget than a cheap GET:
+ * - a number: fixed cost for every request on the route
+ * - a function (req) => number: cost decided per request
+ *
+ * Costs are whole units from 1 up to the limiter's limit. A request that
+ * costs more than the limit could never be admitted, so it gets 400 instead
+ * of a 429 with a retry-after that would never come true.
+ */
+
+// The parameter that caps a single request's cost, per algorithm
+const COST_LIMIT = {
+  'token-bucket': (l) => l.capacity,
+  'sliding-window': (l) => l.maxRequests,
+  'fixed-window': (l) => l.maxRequests,
+  'sliding-counter': (l) => l.maxRequests,
+  'leaky-bucket': (l) => l.capacity,
+  'gcra': (l) => l.burst ?? l.rate,
+  'distributed-redis': (l) => l.maxRequests,
+  'distributed-token-bucket': (l) => l.capacity,
+  'distributed-fixed-window': (l) => l.maxRequests
+};
+
+export function resolveCost(req, cost = 1) {
+  return typeof cost === 'function' ? cost(req) : cost;
+}
+
+// Most units one request may cost under these limits (undefined if the algorithm takes no cost)
+export function maxCost(algorithm, limits) {
+  return COST_LIMIT[algorithm]?.(limits);
+}
+
+// Why `cost` can't be charged against `limit`, or null if it can
+export function costProblem(cost, limit) {
+  if (!Number.isInteger(cost) || cost < 1) {
+    return `Request cost must be a whole number of at least 1 (got ${cost})`;
+  }
+  if (cost > limit) {
+    return `Request cost ${cost} is more than the limit of ${limit}, so it could never be admitted`;
+  }
+  return null;
+}
+
+// Reply 400 for a cost the limiter can't charge; true when it did
+export function rejectInvalidCost(res, { algorithm, cost, limit }) {
+  const message = costProblem(cost, limit);
+  if (!message) return false;
+
+  res.status(400).json({
+    error: 'Bad Request',
+    message,
+    algorithm,
+    cost,
+    limit
+  });
+  return true;
+}
@@ -0,0 +1,102 @@
+/**
+ * Decision Stream
+ *
+ * - Every limiter decision (client, algorithm, allowed, remaining, ...) is
+ *   published as it happens
+ * - GET /api/events streams them as server-sent events, so a dashboard sees
+ *   traffic from every client, not just its own requests
+ * - New subscribers first get the last few decisions, so timelines don't
+ *   start empty
+ * - Anyone can subscribe, so API keys are published as fingerprints
+ */
+
+import { EventEmitter } from 'events';
+import { clientKey, redactClientKey } from './keyGenerators.js';
+
+const BACKLOG_SIZE = 100;
+const HEARTBEAT_MS = 15000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+const backlog = [];
+
+export function publishDecision(decision) {
+  backlog.push(decision);
+  if (backlog.length > BACKLOG_SIZE) backlog.shift();
+  emitter.emit('decision', decision);
+}
+
+// Limit and remaining from whichever header format the limiter sent
+function readLimitHeaders(res) {
+  const limit = res.getHeader('X-RateLimit-Limit') ?? res.getHeader('X-Concurrency-Limit');
+  const remaining = res.getHeader('X-RateLimit-Remaining') ?? res.getHeader('X-Concurrency-Remaining');
+  if (limit !== undefined) {
+    return { limit: Number(limit), remaining: Number(remaining) };
+  }
+
+  // IETF format: "limit=10, remaining=7, reset=42"
+  const fields = Object.fromEntries(
+    String(res.getHeader('RateLimit') || '').split(',').map(field => field.trim().split('='))
+  );
+  return {
+    limit: fields.limit !== undefined ? Number(fields.limit) : null,
+    remaining: fields.remaining !== undefined ? Number(fields.remaining) : null
+  };
+}
+
+// Wrap a limiter middleware so its decisions are published. A limiter either
+// calls next() (allowed, or let through by a failure policy) or ends the
+// response itself (429 / 503), like in metrics.js.
+export function streamDecisions(middleware, { algorithm, keyGenerator, route: routeLabel }) {
+  return (req, res, next) => {
+    let published = false;
+
+    const publish = (allowed) => {
+      if (published) return;
+      published = true;
+      publishDecision({
+        algorithm,
+        client: redactClientKey(clientKey(req, keyGenerator)),
+        route: routeLabel || req.baseUrl + (req.route ? req.route.path : req.path),
+        allowed,
+        status: allowed ? null : res.statusCode,
+        ...readLimitHeaders(res),
+        cost: Number(res.getHeader('X-RateLimit-Cost') || 1),
+        timestamp: Date.now()
+      });
+    };
+
+    res.once('finish', () => publish(res.statusCode < 400));
+
+    return middleware(req, res, (err) => {
+      publish(true);
+      next(err);
+    });
+  };
+}
+
+// GET /api/events - ?algorithm=token-bucket limits the stream to one algorithm
+export function decisionStreamHandler(req, res) {
+  const { algorithm } = req.query;
+  const wanted = (decision) => !algorithm || decision.algorithm === algorithm;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const send = (decision) => {
+    if (wanted(decision)) res.write(`data: ${JSON.stringify(decision)}\n\n`);
+  };
+
+  backlog.forEach(send);
+  emitter.on('decision', send);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    emitter.off('decision', send);
+  });
+}
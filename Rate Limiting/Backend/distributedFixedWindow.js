@@ -0,0 +1,223 @@
+/**
+ * Distributed Fixed Window with Redis
+ *
+ * - Same algorithm as fixedWindow.js, but the counter lives in Redis
+ * - Each client's window is one integer key (INCR) with an expiry
+ * - The key expiring is the window reset - no cleanup needed
+ * - Only admitted requests are counted (checked in one Lua script)
+ *
+ * Best for: Cheapest possible shared limit across servers
+ */
+
+import { runScript, isRedisConnected, getRedisClient, recordRedisFailure, scanStats } from './distributedRedis.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+import { failureHandler, localShare } from './failurePolicy.js';
+import { fixedWindowMiddleware } from './fixedWindow.js';
+
+const KEY_PREFIX = 'ratelimit-fw:';
+
+const FIXED_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local maxRequests = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+
+local count = tonumber(redis.call('GET', key) or '0')
+
+if count + cost <= maxRequests then
+  count = redis.call('INCRBY', key, cost)
+  if count == cost then
+    redis.call('PEXPIRE', key, windowMs)
+  end
+  return {1, maxRequests - count, count, redis.call('PTTL', key)}
+end
+
+return {0, maxRequests - count, count, redis.call('PTTL', key)}
+`;
+
+// Throws if Redis fails; the middleware applies its failure policy
+async function fixedWindowRedis(clientId, maxRequests, windowMs, cost = 1, client) {
+  const [allowed, remaining, current, ttlMs] = await runScript(
+    FIXED_WINDOW_SCRIPT,
+    [KEY_PREFIX + clientId],
+    [maxRequests, windowMs, cost],
+    client
+  );
+  const resetAt = Date.now() + Math.max(0, ttlMs);
+
+  if (allowed === 1) {
+    return { allowed: true, remaining, current, resetAt };
+  }
+
+  return {
+    allowed: false,
+    remaining,
+    current,
+    resetAt,
+    retryAfter: Math.max(1, Math.ceil(ttlMs / 1000))
+  };
+}
+
+export function distributedFixedWindowMiddleware(maxRequests = 10, windowMs = 60000, {
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  cost: requestCost = 1,
+  failurePolicy = 'closed',
+  instances = 1,
+  client
+} = {}) {
+  // 'local' policy: same algorithm in memory, at this server's share of the limit
+  const onFailure = failureHandler(failurePolicy, (store) => fixedWindowMiddleware(maxRequests, windowMs, {
+    store,
+    keyGenerator,
+    headers,
+    cost: requestCost,
+    limits: (req) => {
+      const config = { maxRequests, windowMs, ...limits(req) };
+      return { ...config, maxRequests: localShare(config.maxRequests, instances) };
+    }
+  }));
+
+  const middleware = async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { maxRequests, windowMs, ...limits(req) };
+
+    if (!isRedisConnected(client)) {
+      return onFailure(req, res, next);
+    }
+
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'distributed-fixed-window', cost, limit: config.maxRequests })) return;
+
+    let result;
+    try {
+      result = await fixedWindowRedis(clientId, config.maxRequests, config.windowMs, cost, client);
+    } catch (error) {
+      console.error('Redis fixed window error:', error);
+      recordRedisFailure();
+      return onFailure(req, res, next);
+    }
+
+    // Add rate limit headers
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'distributed-fixed-window',
+      limit: config.maxRequests,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: config.windowMs,
+      cost
+    });
+
+    if (!result.allowed) {
+      res.setHeader('Retry-After', result.retryAfter);
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
+        algorithm: 'distributed-fixed-window',
+        limit: config.maxRequests,
+        windowMs: config.windowMs,
+        current: result.current,
+        cost,
+        retryAfter: result.retryAfter,
+        resetAt: new Date(result.resetAt).toISOString()
+      });
+    }
+
+    next();
+  };
+
+  // Frees the 'local' policy's store once this limiter is no longer used
+  middleware.close = onFailure.close;
+  return middleware;
+}
+
+// GET + PTTL for a batch of keys in one round trip
+async function windowDetails(keys) {
+  const pipeline = getRedisClient().multi();
+  keys.forEach(key => pipeline.get(key).pTTL(key));
+  const replies = await pipeline.execAsPipeline();
+
+  // Keys can expire between SCAN and the pipeline, so drop missing windows
+  return keys
+    .map((key, i) => ({
+      ...parseClientKey(key.slice(KEY_PREFIX.length)),
+      count: Number(replies[i * 2]),
+      resetIn: Math.ceil(replies[i * 2 + 1] / 1000)
+    }))
+    .filter((client, i) => replies[i * 2] !== null);
+}
+
+// Per-client windows, paged like getDistributedStats
+export async function getDistributedFixedWindowStats({ cursor = 0, limit = 100, summary = false } = {}) {
+  if (!isRedisConnected()) {
+    return { error: 'Redis not available' };
+  }
+
+  try {
+    return await scanStats(KEY_PREFIX, { cursor, limit, summary }, {
+      details: windowDetails,
+      totals: (clients) => ({
+        totalClients: clients.length,
+        totalRequests: clients.reduce((sum, client) => sum + client.count, 0)
+      })
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin top-up (or drain): keeps the current window's expiry, or opens a new window
+const SET_COUNT_SCRIPT = `
+local key = KEYS[1]
+local windowMs = tonumber(ARGV[1])
+local count = tonumber(ARGV[2])
+
+if redis.call('EXISTS', key) == 1 then
+  redis.call('SET', key, count, 'KEEPTTL')
+else
+  redis.call('SET', key, count, 'PX', windowMs)
+end
+return redis.call('PTTL', key)
+`;
+
+// Admin: one client's window, or null if it has none
+export async function getDistributedFixedWindowClient(clientId) {
+  if (!isRedisConnected()) throw new Error('Redis not available');
+
+  const redisClient = getRedisClient();
+  const [count, ttl] = await Promise.all([
+    redisClient.get(KEY_PREFIX + clientId),
+    redisClient.pTTL(KEY_PREFIX + clientId)
+  ]);
+  if (count === null) return null;
+
+  return {
+    ...parseClientKey(clientId),
+    count: Number(count),
+    resetIn: Math.ceil(ttl / 1000)
+  };
+}
+
+// Admin: forget a client, giving it a fresh window
+export async function resetDistributedFixedWindowClient(clientId) {
+  if (!isRedisConnected()) throw new Error('Redis not available');
+  return (await getRedisClient().del(KEY_PREFIX + clientId)) > 0;
+}
+
+// Admin: top up or drain a client (limits come from the client's plan)
+export async function setDistributedFixedWindowRemaining(clientId, remaining, { maxRequests, windowMs }) {
+  if (!isRedisConnected()) throw new Error('Redis not available');
+
+  const count = maxRequests - Math.min(maxRequests, Math.max(0, remaining));
+  const ttl = await runScript(SET_COUNT_SCRIPT, [KEY_PREFIX + clientId], [windowMs, count]);
+  return {
+    ...parseClientKey(clientId),
+    count,
+    remaining: maxRequests - count,
+    resetIn: Math.ceil(ttl / 1000)
+  };
+}
@@ -3,18 +3,48 @@
  * 
  * - Uses Redis for shared state across multiple servers
  * - Implements sliding window with Redis sorted sets
- * - Atomic operations ensure accuracy
+ * - Check-and-record runs as one Lua script (atomic, single round trip)
  * - Scales horizontally
  * - Survives server restarts
+ * - Configurable behavior while Redis is down (see failurePolicy.js)
  * 
  * Best for: Production systems with multiple servers
  */
 
 import { createClient } from 'redis';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+import { failureHandler, localShare } from './failurePolicy.js';
+import { slidingWindowMiddleware } from './slidingWindow.js';
 
 let redisClient = null;
 let isRedisAvailable = false;
 
+// Time spent without Redis, i.e. with distributed limiters running on
+// their failure policy. Startup counts as degraded until the first connect.
+const degraded = {
+  since: Date.now(),
+  totalMs: 0,
+  outages: 0,
+  commandFailures: 0
+};
+
+function setRedisAvailable(available) {
+  if (available === isRedisAvailable) return;
+  isRedisAvailable = available;
+
+  if (available) {
+    degraded.totalMs += Date.now() - degraded.since;
+    degraded.since = null;
+    console.log('✅ Connected to Redis for distributed rate limiting');
+  } else {
+    degraded.since = Date.now();
+    degraded.outages++;
+    console.log('⚠️  Lost connection to Redis - distributed limiters using their failure policy');
+  }
+}
+
 // Initialize Redis client
 export async function initRedis() {
   try {
@@ -24,99 +54,169 @@ export async function initRedis() {
 
     redisClient.on('error', (err) => {
       console.error('Redis error:', err);
-      isRedisAvailable = false;
+      setRedisAvailable(false);
     });
 
-    redisClient.on('connect', () => {
-      console.log('✅ Connected to Redis for distributed rate limiting');
-      isRedisAvailable = true;
-    });
+    // The client reconnects on its own; 'ready' fires after every (re)connect
+    redisClient.on('ready', () => setRedisAvailable(true));
+    redisClient.on('reconnecting', () => setRedisAvailable(false));
+    redisClient.on('end', () => setRedisAvailable(false));
 
     await redisClient.connect();
     return true;
   } catch (error) {
     console.error('Failed to connect to Redis:', error.message);
     console.log('⚠️  Distributed rate limiting will not be available');
-    isRedisAvailable = false;
+    setRedisAvailable(false);
     return false;
   }
 }
 
-// Sliding window implementation using Redis sorted sets
-async function slidingWindowRedis(clientId, maxRequests, windowMs) {
-  const key = `ratelimit:${clientId}`;
-  const now = Date.now();
-  const windowStart = now - windowMs;
-
-  try {
-    // Start a pipeline for atomic operations
-    const pipeline = redisClient.multi();
+// Close the connection (graceful shutdown, tests); limiters fall back to their failure policy
+export async function closeRedis() {
+  if (!redisClient?.isOpen) return;
+  await redisClient.quit();
+}
 
-    // Remove old entries outside the window
-    pipeline.zRemRangeByScore(key, 0, windowStart);
+// Sliding window check-and-record as a single server-side script.
+// Redis runs scripts atomically, so concurrent requests from any number of
+// servers can't both see "count < max" and over-admit. Only admitted
+// requests are added to the log (one member per unit of cost), and
+// retry-after comes back in the same round trip. Time comes from the Redis
+// server so app servers with skewed clocks still agree on the window.
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local maxRequests = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local member = ARGV[3]
+local cost = tonumber(ARGV[4])
 
-    // Count requests in current window
-    pipeline.zCard(key);
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
 
-    // Add current request with timestamp as score
-    pipeline.zAdd(key, { score: now, value: `${now}-${Math.random()}` });
+redis.call('ZREMRANGEBYSCORE', key, 0, now - windowMs)
+local count = redis.call('ZCARD', key)
 
-    // Set expiry on the key
-    pipeline.expire(key, Math.ceil(windowMs / 1000));
+local allowed = 0
+local retryMs = 0
+if count + cost <= maxRequests then
+  for i = 1, cost do
+    redis.call('ZADD', key, now, now .. '-' .. member .. '-' .. i)
+  end
+  redis.call('PEXPIRE', key, windowMs)
+  count = count + cost
+  allowed = 1
+else
+  -- Room for this cost opens up once the blocking entry slides out
+  -- (the middleware rejects cost > maxRequests, so it is always in the log)
+  local blocking = redis.call('ZRANGE', key, count + cost - maxRequests - 1, count + cost - maxRequests - 1, 'WITHSCORES')
+  retryMs = blocking[2] and (tonumber(blocking[2]) + windowMs - now) or windowMs
+end
 
-    // Execute all commands
-    const results = await pipeline.exec();
-    const count = results[1]; // Result of zCard
+-- The window frees up a slot when its oldest request slides out
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+local resetMs = oldest[2] and (tonumber(oldest[2]) + windowMs - now) or windowMs
+return {allowed, math.max(0, maxRequests - count), count, resetMs, retryMs}
+`;
 
-    if (count < maxRequests) {
-      return {
-        allowed: true,
-        remaining: maxRequests - count - 1,
-        current: count + 1
-      };
-    }
+const scriptShas = new Map();
 
-    // Get oldest request to calculate retry time
-    const oldest = await redisClient.zRange(key, 0, 0, { REV: false });
-    const oldestScore = oldest.length > 0 ? parseInt(oldest[0].split('-')[0]) : now;
-    const retryAfter = Math.ceil((oldestScore + windowMs - now) / 1000);
+// Run a Lua script via EVALSHA, loading it into the script cache on first use
+// (or again after a Redis restart flushed the cache). Uses the shared client
+// unless given another.
+export async function runScript(script, keys, args, client = redisClient) {
+  const options = { keys, arguments: args.map(String) };
 
-    // Remove the request we just added since it's not allowed
-    await redisClient.zRem(key, `${now}-${Math.random()}`);
+  if (!scriptShas.has(script)) {
+    scriptShas.set(script, await client.scriptLoad(script));
+  }
 
-    return {
-      allowed: false,
-      remaining: 0,
-      current: count,
-      retryAfter: Math.max(1, retryAfter)
-    };
+  try {
+    return await client.evalSha(scriptShas.get(script), options);
   } catch (error) {
-    console.error('Redis rate limit error:', error);
-    // Fail open - allow the request if Redis fails
-    return {
-      allowed: true,
-      remaining: maxRequests,
-      error: 'Redis unavailable'
-    };
+    if (!error.message.startsWith('NOSCRIPT')) throw error;
+    scriptShas.set(script, await client.scriptLoad(script));
+    return client.evalSha(scriptShas.get(script), options);
   }
 }
 
-export function distributedRedisMiddleware(maxRequests = 10, windowMs = 60000) {
-  return async (req, res, next) => {
-    if (!isRedisAvailable) {
-      return res.status(503).json({
-        error: 'Service Unavailable',
-        message: 'Distributed rate limiting is not available (Redis not connected)'
-      });
+// Sliding window implementation using Redis sorted sets
+// Throws if Redis fails; the middleware applies its failure policy
+async function slidingWindowRedis(clientId, maxRequests, windowMs, cost = 1, client) {
+  const key = `ratelimit:${clientId}`;
+
+  const [allowed, remaining, current, resetMs, retryMs] = await runScript(
+    SLIDING_WINDOW_SCRIPT,
+    [key],
+    [maxRequests, windowMs, Math.random(), cost],
+    client
+  );
+  const resetAt = Date.now() + resetMs;
+
+  if (allowed === 1) {
+    return { allowed: true, remaining, current, resetAt };
+  }
+
+  return {
+    allowed: false,
+    remaining,
+    current,
+    resetAt,
+    retryAfter: Math.max(1, Math.ceil(retryMs / 1000))
+  };
+}
+
+export function distributedRedisMiddleware(maxRequests = 10, windowMs = 60000, {
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  cost: requestCost = 1,
+  failurePolicy = 'closed',
+  instances = 1,
+  client
+} = {}) {
+  // 'local' policy: same algorithm in memory, at this server's share of the limit
+  const onFailure = failureHandler(failurePolicy, (store) => slidingWindowMiddleware(maxRequests, windowMs, {
+    store,
+    keyGenerator,
+    headers,
+    cost: requestCost,
+    limits: (req) => {
+      const config = { maxRequests, windowMs, ...limits(req) };
+      return { ...config, maxRequests: localShare(config.maxRequests, instances) };
+    }
+  }));
+
+  const middleware = async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { maxRequests, windowMs, ...limits(req) };
+
+    if (!isRedisConnected(client)) {
+      return onFailure(req, res, next);
     }
 
-    const clientId = req.ip || 'unknown';
-    const result = await slidingWindowRedis(clientId, maxRequests, windowMs);
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'distributed-redis', cost, limit: config.maxRequests })) return;
+
+    let result;
+    try {
+      result = await slidingWindowRedis(clientId, config.maxRequests, config.windowMs, cost, client);
+    } catch (error) {
+      console.error('Redis rate limit error:', error);
+      recordRedisFailure();
+      return onFailure(req, res, next);
+    }
 
     // Add rate limit headers
-    res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', result.remaining);
-    res.setHeader('X-RateLimit-Algorithm', 'distributed-redis');
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'distributed-redis',
+      limit: config.maxRequests,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: config.windowMs,
+      cost
+    });
 
     if (!result.allowed) {
       res.setHeader('Retry-After', result.retryAfter);
@@ -124,41 +224,174 @@ export function distributedRedisMiddleware(maxRequests = 10, windowMs = 60000) {
         error: 'Too Many Requests',
         message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
         algorithm: 'distributed-redis',
-        limit: maxRequests,
+        limit: config.maxRequests,
         current: result.current,
+        cost,
         retryAfter: result.retryAfter
       });
     }
 
     next();
   };
+
+  // Frees the 'local' policy's store once this limiter is no longer used
+  middleware.close = onFailure.close;
+  return middleware;
+}
+
+// ZCARD + TTL for a batch of keys in one round trip
+async function windowDetails(keys) {
+  const pipeline = redisClient.multi();
+  keys.forEach(key => pipeline.zCard(key).ttl(key));
+  const replies = await pipeline.execAsPipeline();
+
+  // Keys can expire between SCAN and the pipeline, so drop empty windows
+  return keys
+    .map((key, i) => ({
+      ...parseClientKey(key.slice('ratelimit:'.length)),
+      current: replies[i * 2],
+      ttl: replies[i * 2 + 1]
+    }))
+    .filter(client => client.current > 0);
+}
+
+// Per-client stats for the keys under `prefix`, one SCAN page at a time (SCAN
+// never blocks Redis like KEYS). Pass the returned cursor back for the next
+// page; null means done. `limit` is a hint - Redis may return a few more or
+// fewer keys per page. summary: walk every page but return only the totals.
+// - details(keys): the page's clients, read in one pipelined round trip
+// - totals(clients): numbers to add up across pages for the summary
+export async function scanStats(prefix, { cursor = 0, limit = 100, summary = false }, { details, totals }) {
+  if (summary) {
+    const sums = totals([]);
+    let next = 0;
+    do {
+      const page = await redisClient.scan(next, { MATCH: `${prefix}*`, COUNT: 500 });
+      next = page.cursor;
+      if (page.keys.length === 0) continue;
+
+      Object.entries(totals(await details(page.keys))).forEach(([name, value]) => {
+        sums[name] += value;
+      });
+    } while (next !== 0);
+
+    return sums;
+  }
+
+  const page = await redisClient.scan(cursor, { MATCH: `${prefix}*`, COUNT: limit });
+  return {
+    clients: page.keys.length > 0 ? await details(page.keys) : [],
+    cursor: page.cursor === 0 ? null : String(page.cursor)
+  };
 }
 
-export async function getDistributedStats() {
+// Per-client windows, paged (see scanStats)
+export async function getDistributedStats({ cursor = 0, limit = 100, summary = false } = {}) {
   if (!isRedisAvailable) {
     return { error: 'Redis not available' };
   }
 
   try {
-    const keys = await redisClient.keys('ratelimit:*');
-    const stats = [];
-
-    for (const key of keys) {
-      const count = await redisClient.zCard(key);
-      const ttl = await redisClient.ttl(key);
-      stats.push({
-        clientId: key.replace('ratelimit:', ''),
-        current: count,
-        ttl
-      });
-    }
-
-    return stats;
+    return await scanStats('ratelimit:', { cursor, limit, summary }, {
+      details: windowDetails,
+      totals: (clients) => ({
+        totalClients: clients.length,
+        totalRequests: clients.reduce((sum, client) => sum + client.current, 0)
+      })
+    });
   } catch (error) {
     return { error: error.message };
   }
 }
 
-export function isRedisConnected() {
-  return isRedisAvailable;
+// Admin top-up (or drain): trim the oldest entries, or add placeholder ones
+// stamped now, so exactly `remaining` requests fit in the window
+const SET_REMAINING_SCRIPT = `
+local key = KEYS[1]
+local maxRequests = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local remaining = tonumber(ARGV[3])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', key, 0, now - windowMs)
+local count = redis.call('ZCARD', key)
+local target = maxRequests - math.min(maxRequests, math.max(0, remaining))
+
+if count > target then
+  redis.call('ZREMRANGEBYRANK', key, 0, count - target - 1)
+else
+  for i = 1, target - count do
+    redis.call('ZADD', key, now, now .. '-admin-' .. i)
+  end
+end
+
+if target > 0 then
+  redis.call('PEXPIRE', key, windowMs)
+end
+return target
+`;
+
+// Admin: one client's window, or null if it has none
+export async function getDistributedClient(clientId) {
+  if (!isRedisAvailable) throw new Error('Redis not available');
+  const key = `ratelimit:${clientId}`;
+  const [count, ttl] = await Promise.all([redisClient.zCard(key), redisClient.ttl(key)]);
+  if (count === 0) return null;
+
+  return { ...parseClientKey(clientId), current: count, ttl };
+}
+
+// Admin: forget a client, giving it a fresh full window
+export async function resetDistributedClient(clientId) {
+  if (!isRedisAvailable) throw new Error('Redis not available');
+  return (await redisClient.del(`ratelimit:${clientId}`)) > 0;
+}
+
+// Admin: top up or drain a client. Redis doesn't store limits, so they
+// come from the client's plan (same as the middleware's limits option).
+export async function setDistributedRemaining(clientId, remaining, { maxRequests, windowMs }) {
+  if (!isRedisAvailable) throw new Error('Redis not available');
+  const current = await runScript(SET_REMAINING_SCRIPT, [`ratelimit:${clientId}`], [maxRequests, windowMs, remaining]);
+  return {
+    ...parseClientKey(clientId),
+    current,
+    remaining: maxRequests - current,
+    limit: maxRequests
+  };
+}
+
+// A client passed to a middleware is judged on its own; otherwise the shared one
+export function isRedisConnected(client) {
+  return client ? client.isReady : isRedisAvailable;
+}
+
+// Count keys matching a pattern with SCAN (never blocks Redis like KEYS)
+export async function countRedisKeys(match) {
+  let count = 0;
+  for await (const key of redisClient.scanIterator({ MATCH: match, COUNT: 100 })) {
+    count++;
+  }
+  return count;
+}
+
+// Count a failed Redis call while connected (timeouts, script errors, ...)
+export function recordRedisFailure() {
+  degraded.commandFailures++;
+}
+
+export function getRedisHealth() {
+  return {
+    connected: isRedisAvailable,
+    degradedSince: degraded.since ? new Date(degraded.since).toISOString() : null,
+    degradedMs: degraded.totalMs + (degraded.since ? Date.now() - degraded.since : 0),
+    outages: degraded.outages,
+    commandFailures: degraded.commandFailures
+  };
+}
+
+// Shared client for other Redis-backed code (e.g. RedisStore)
+export function getRedisClient() {
+  return redisClient;
 }
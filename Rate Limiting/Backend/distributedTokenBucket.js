@@ -0,0 +1,228 @@
+/**
+ * Distributed Token Bucket with Redis
+ *
+ * - Same algorithm as tokenBucket.js, but state lives in Redis
+ * - Each client's bucket is a hash: { tokens, lastRefill }
+ * - Refill + consume run as one Lua script (atomic across servers)
+ * - Idle buckets expire once they would be full again
+ *
+ * Best for: Burst-friendly limits shared by multiple servers
+ */
+
+import { runScript, isRedisConnected, getRedisClient, recordRedisFailure, scanStats } from './distributedRedis.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+import { failureHandler, localShare } from './failurePolicy.js';
+import { tokenBucketMiddleware } from './tokenBucket.js';
+
+const KEY_PREFIX = 'ratelimit-tb:';
+
+// Time comes from the Redis server so every app server refills identically
+const TOKEN_BUCKET_SCRIPT = `
+local key = KEYS[1]
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', key, 'tokens', 'lastRefill')
+local tokens = tonumber(bucket[1]) or capacity
+local lastRefill = tonumber(bucket[2]) or now
+
+tokens = math.min(capacity, tokens + (now - lastRefill) / 1000 * refillRate)
+
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retryAfterMs = math.ceil((cost - tokens) / refillRate * 1000)
+end
+
+redis.call('HSET', key, 'tokens', tostring(tokens), 'lastRefill', now)
+redis.call('PEXPIRE', key, math.ceil(capacity / refillRate * 1000))
+
+-- Time until the bucket is full again
+local resetMs = math.ceil((capacity - tokens) / refillRate * 1000)
+
+return {allowed, math.floor(tokens), retryAfterMs, resetMs}
+`;
+
+// Throws if Redis fails; the middleware applies its failure policy
+async function tokenBucketRedis(clientId, capacity, refillRate, cost = 1, client) {
+  const [allowed, remaining, retryAfterMs, resetMs] = await runScript(
+    TOKEN_BUCKET_SCRIPT,
+    [KEY_PREFIX + clientId],
+    [capacity, refillRate, cost],
+    client
+  );
+  const resetAt = Date.now() + resetMs;
+
+  if (allowed === 1) {
+    return { allowed: true, remaining, resetAt };
+  }
+
+  return {
+    allowed: false,
+    remaining,
+    resetAt,
+    retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000))
+  };
+}
+
+export function distributedTokenBucketMiddleware(capacity = 10, refillRate = 2, {
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  cost: requestCost = 1,
+  failurePolicy = 'closed',
+  instances = 1,
+  client
+} = {}) {
+  // 'local' policy: each server gets its share of both the burst and the refill rate
+  const onFailure = failureHandler(failurePolicy, (store) => tokenBucketMiddleware(capacity, refillRate, {
+    store,
+    keyGenerator,
+    headers,
+    cost: requestCost,
+    limits: (req) => {
+      const config = { capacity, refillRate, ...limits(req) };
+      return {
+        capacity: localShare(config.capacity, instances),
+        refillRate: config.refillRate / Math.max(1, instances)
+      };
+    }
+  }));
+
+  const middleware = async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { capacity, refillRate, ...limits(req) };
+
+    if (!isRedisConnected(client)) {
+      return onFailure(req, res, next);
+    }
+
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'distributed-token-bucket', cost, limit: config.capacity })) return;
+
+    let result;
+    try {
+      result = await tokenBucketRedis(clientId, config.capacity, config.refillRate, cost, client);
+    } catch (error) {
+      console.error('Redis token bucket error:', error);
+      recordRedisFailure();
+      return onFailure(req, res, next);
+    }
+
+    // Add rate limit headers
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'distributed-token-bucket',
+      limit: config.capacity,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: (config.capacity / config.refillRate) * 1000,
+      cost
+    });
+
+    if (!result.allowed) {
+      res.setHeader('Retry-After', result.retryAfter);
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
+        algorithm: 'distributed-token-bucket',
+        limit: config.capacity,
+        cost,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  };
+
+  // Frees the 'local' policy's store once this limiter is no longer used
+  middleware.close = onFailure.close;
+  return middleware;
+}
+
+// HGETALL for a batch of keys in one round trip
+async function bucketDetails(keys) {
+  const pipeline = getRedisClient().multi();
+  keys.forEach(key => pipeline.hGetAll(key));
+  const buckets = await pipeline.execAsPipeline();
+
+  // Keys can expire between SCAN and the pipeline, so drop missing buckets
+  return keys
+    .map((key, i) => ({
+      ...parseClientKey(key.slice(KEY_PREFIX.length)),
+      tokens: Math.floor(Number(buckets[i].tokens)), // As of lastRefill
+      lastRefill: Number(buckets[i].lastRefill)
+    }))
+    .filter((client, i) => buckets[i].tokens !== undefined);
+}
+
+// Per-client buckets, paged like getDistributedStats
+export async function getDistributedTokenBucketStats({ cursor = 0, limit = 100, summary = false } = {}) {
+  if (!isRedisConnected()) {
+    return { error: 'Redis not available' };
+  }
+
+  try {
+    return await scanStats(KEY_PREFIX, { cursor, limit, summary }, {
+      details: bucketDetails,
+      totals: (clients) => ({
+        totalClients: clients.length,
+        totalTokens: clients.reduce((sum, client) => sum + client.tokens, 0)
+      })
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin top-up (or drain): refill time restarts now, on the Redis clock
+const SET_TOKENS_SCRIPT = `
+local key = KEYS[1]
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local tokens = math.min(capacity, math.max(0, tonumber(ARGV[3])))
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('HSET', key, 'tokens', tostring(tokens), 'lastRefill', now)
+redis.call('PEXPIRE', key, math.ceil(capacity / refillRate * 1000))
+return math.floor(tokens)
+`;
+
+// Admin: one client's bucket, or null if it has none
+export async function getDistributedTokenBucketClient(clientId) {
+  if (!isRedisConnected()) throw new Error('Redis not available');
+
+  const { tokens, lastRefill } = await getRedisClient().hGetAll(KEY_PREFIX + clientId);
+  if (tokens === undefined) return null;
+
+  return {
+    ...parseClientKey(clientId),
+    tokens: Math.floor(Number(tokens)), // As of lastRefill
+    lastRefill: Number(lastRefill)
+  };
+}
+
+// Admin: forget a client, giving it a full bucket
+export async function resetDistributedTokenBucketClient(clientId) {
+  if (!isRedisConnected()) throw new Error('Redis not available');
+  return (await getRedisClient().del(KEY_PREFIX + clientId)) > 0;
+}
+
+// Admin: top up or drain a client (limits come from the client's plan)
+export async function setDistributedTokenBucketRemaining(clientId, remaining, { capacity, refillRate }) {
+  if (!isRedisConnected()) throw new Error('Redis not available');
+
+  const tokens = await runScript(SET_TOKENS_SCRIPT, [KEY_PREFIX + clientId], [capacity, refillRate, remaining]);
+  return { ...parseClientKey(clientId), tokens, capacity };
+}
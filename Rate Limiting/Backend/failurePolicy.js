@@ -0,0 +1,52 @@
+/**
+ * Redis Failure Policy
+ *
+ * What a distributed limiter does when Redis is unreachable or a script fails.
+ * Every distributed middleware accepts a { failurePolicy } option:
+ * - 'closed': reject with 503 (default - the global limit is never exceeded)
+ * - 'open':   let requests through unlimited
+ * - 'local':  enforce this server's share of the global limit in memory
+ *             (limit / instances), so N servers together stay near the limit
+ *
+ * Responses served under a policy carry X-RateLimit-Degraded: <policy>.
+ */
+
+import { MemoryStore } from './stores/index.js';
+
+export const FAILURE_POLICIES = ['closed', 'open', 'local'];
+
+// This server's share of a global request limit (always at least 1)
+export function localShare(limit, instances = 1) {
+  return Math.max(1, Math.floor(limit / Math.max(1, instances)));
+}
+
+// createLocalLimiter(store) builds the in-memory middleware for the 'local'
+// policy on the given store. The handler's close() stops that store's sweeper,
+// for limiters that are thrown away (e.g. on a rules reload).
+export function failureHandler(policy = 'closed', createLocalLimiter) {
+  if (!FAILURE_POLICIES.includes(policy)) {
+    throw new Error(`failurePolicy must be one of: ${FAILURE_POLICIES.join(', ')}`);
+  }
+
+  const localStore = policy === 'local' ? new MemoryStore() : null;
+  const localLimiter = localStore ? createLocalLimiter(localStore) : null;
+
+  const handler = (req, res, next) => {
+    res.setHeader('X-RateLimit-Degraded', policy);
+
+    if (policy === 'open') {
+      return next();
+    }
+
+    if (policy === 'local') {
+      return localLimiter(req, res, next);
+    }
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Distributed rate limiting is not available (Redis not connected)'
+    });
+  };
+  handler.close = () => localStore?.close();
+  return handler;
+}
@@ -10,17 +10,24 @@
  * Best for: Simple rate limiting with minimal memory overhead
  */
 
-class FixedWindow {
-  constructor(maxRequests, windowMs) {
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+
+export class FixedWindow {
+  // state is the plain object previously saved in the store (null for a new client)
+  constructor(maxRequests, windowMs, state = null, clock = Date.now) {
+    this.clock = clock; // () => current time in ms
     this.maxRequests = maxRequests;
     this.windowMs = windowMs;
-    this.count = 0;
-    this.windowStart = Date.now();
+    this.count = state ? state.count : 0;
+    this.windowStart = state ? state.windowStart : this.clock();
   }
 
   // Reset if we're in a new window
   checkAndResetWindow() {
-    const now = Date.now();
+    const now = this.clock();
     const elapsed = now - this.windowStart;
     
     if (elapsed >= this.windowMs) {
@@ -29,13 +36,13 @@ class FixedWindow {
     }
   }
 
-  // Try to allow a request
-  allow() {
+  // Try to allow a request that costs `cost` units
+  allow(cost = 1) {
     this.checkAndResetWindow();
-    const now = Date.now();
+    const now = this.clock();
     
-    if (this.count < this.maxRequests) {
-      this.count++;
+    if (this.count + cost <= this.maxRequests) {
+      this.count += cost;
       return {
         allowed: true,
         remaining: this.maxRequests - this.count,
@@ -48,7 +55,7 @@ class FixedWindow {
     
     return {
       allowed: false,
-      remaining: 0,
+      remaining: this.maxRequests - this.count,
       resetAt,
       retryAfter
     };
@@ -56,7 +63,7 @@ class FixedWindow {
 
   getStatus() {
     this.checkAndResetWindow();
-    const now = Date.now();
+    const now = this.clock();
     const resetAt = this.windowStart + this.windowMs;
     
     return {
@@ -67,27 +74,67 @@ class FixedWindow {
       resetIn: Math.ceil((resetAt - now) / 1000)
     };
   }
+
+  // Admin top-up (or drain): leave exactly `remaining` requests in this window
+  setRemaining(remaining) {
+    this.checkAndResetWindow();
+    this.count = this.maxRequests - Math.min(this.maxRequests, Math.max(0, remaining));
+  }
+
+  // Plain object saved in the store between requests
+  toJSON() {
+    return {
+      maxRequests: this.maxRequests,
+      windowMs: this.windowMs,
+      count: this.count,
+      windowStart: this.windowStart
+    };
+  }
 }
 
-// In-memory store for multiple clients
-const windows = new Map();
+// Default store (in-memory); pass { store } to share state across servers
+const defaultStore = new MemoryStore();
+const KEY_PREFIX = 'fixed-window:';
 
-export function fixedWindowMiddleware(maxRequests = 10, windowMs = 60000) {
-  return (req, res, next) => {
-    const clientId = req.ip || 'unknown';
+export function fixedWindowMiddleware(maxRequests = 10, windowMs = 60000, {
+  store = defaultStore,
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  cost: requestCost = 1,
+  // () => current time in ms; pass a fake clock to test without sleeping
+  clock = Date.now
+} = {}) {
+  return async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { maxRequests, windowMs, ...limits(req) };
+
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'fixed-window', cost, limit: config.maxRequests })) return;
     
-    if (!windows.has(clientId)) {
-      windows.set(clientId, new FixedWindow(maxRequests, windowMs));
+    let result;
+    try {
+      result = await store.update(KEY_PREFIX + clientId, (state) => {
+        const window = new FixedWindow(config.maxRequests, config.windowMs, state, clock);
+        return { result: window.allow(cost), state: window.toJSON() };
+      }, config.windowMs);
+    } catch (error) {
+      // Fail open - allow the request if the store is unavailable
+      console.error('Fixed window store error:', error.message);
+      return next();
     }
     
-    const window = windows.get(clientId);
-    const result = window.allow();
-    
     // Add rate limit headers
-    res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', result.remaining);
-    res.setHeader('X-RateLimit-Reset', new Date(result.resetAt).toISOString());
-    res.setHeader('X-RateLimit-Algorithm', 'fixed-window');
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'fixed-window',
+      limit: config.maxRequests,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: config.windowMs,
+      cost,
+      now: clock()
+    });
     
     if (!result.allowed) {
       res.setHeader('Retry-After', result.retryAfter);
@@ -95,8 +142,9 @@ export function fixedWindowMiddleware(maxRequests = 10, windowMs = 60000) {
         error: 'Too Many Requests',
         message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
         algorithm: 'fixed-window',
-        limit: maxRequests,
-        windowMs,
+        limit: config.maxRequests,
+        windowMs: config.windowMs,
+        cost,
         retryAfter: result.retryAfter,
         resetAt: new Date(result.resetAt).toISOString()
       });
@@ -106,13 +154,47 @@ export function fixedWindowMiddleware(maxRequests = 10, windowMs = 60000) {
   };
 }
 
-export function getFixedWindowStats() {
-  const stats = [];
-  windows.forEach((window, clientId) => {
-    stats.push({
-      clientId,
-      ...window.getStatus()
+export async function getFixedWindowStats(store = defaultStore, clock = Date.now) {
+  try {
+    const entries = await store.entries(KEY_PREFIX);
+    return entries.map(([key, state]) => {
+      const window = new FixedWindow(state.maxRequests, state.windowMs, state, clock);
+      return {
+        ...parseClientKey(key.slice(KEY_PREFIX.length)),
+        ...window.getStatus()
+      };
     });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin: one client's state, or null if it has none
+export async function getFixedWindowClient(clientId, store = defaultStore, clock = Date.now) {
+  const state = await store.get(KEY_PREFIX + clientId);
+  if (!state) return null;
+
+  const window = new FixedWindow(state.maxRequests, state.windowMs, state, clock);
+  return { ...parseClientKey(clientId), ...window.getStatus() };
+}
+
+// Admin: forget a client, giving it a fresh full allowance
+export async function resetFixedWindowClient(clientId, store = defaultStore) {
+  return store.delete(KEY_PREFIX + clientId);
+}
+
+// Admin: top up or drain a client to `remaining` requests
+export async function setFixedWindowRemaining(clientId, remaining, store = defaultStore, clock = Date.now) {
+  // Through update() so a request consuming at the same time isn't lost
+  return store.update(KEY_PREFIX + clientId, (state) => {
+    if (!state) return { result: null };
+
+    const window = new FixedWindow(state.maxRequests, state.windowMs, state, clock);
+    window.setRemaining(remaining);
+    return {
+      state: window.toJSON(),
+      ttlMs: state.windowMs,
+      result: { ...parseClientKey(clientId), ...window.getStatus() }
+    };
   });
-  return stats;
 }
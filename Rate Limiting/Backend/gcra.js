@@ -0,0 +1,194 @@
+/**
+ * GCRA (Generic Cell Rate Algorithm)
+ * 
+ * - Stores a single value per client: the theoretical arrival time (TAT),
+ *   i.e. when the client would be "caught up" if requests were evenly spaced
+ * - Each request pushes TAT forward by the emission interval (period / rate)
+ * - A request is allowed if TAT is no more than the burst tolerance ahead of now
+ * - Behaves like a token bucket, but with no refill bookkeeping
+ * 
+ * Best for: Smooth, burst-tolerant limits with the smallest possible state
+ */
+
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+
+export class Gcra {
+  // state is the plain object previously saved in the store (null for a new client)
+  constructor(rate, periodMs, burst, state = null, clock = Date.now) {
+    this.clock = clock; // () => current time in ms
+    this.rate = rate; // Requests allowed per period
+    this.periodMs = periodMs;
+    this.burst = burst; // Requests allowed back-to-back
+    this.emissionInterval = periodMs / rate; // Ideal spacing between requests
+    this.burstTolerance = this.emissionInterval * burst;
+    this.tat = state ? state.tat : this.clock();
+  }
+
+  // Try to allow a request that costs `cost` units (pushes TAT `cost` intervals forward)
+  allow(cost = 1) {
+    const now = this.clock();
+    const tat = Math.max(this.tat, now);
+    const newTat = tat + this.emissionInterval * cost;
+    const allowAt = newTat - this.burstTolerance;
+    
+    if (now >= allowAt) {
+      this.tat = newTat;
+      return {
+        allowed: true,
+        remaining: Math.floor((this.burstTolerance - (newTat - now)) / this.emissionInterval),
+        resetAt: newTat
+      };
+    }
+    
+    return {
+      allowed: false,
+      remaining: Math.max(0, Math.floor((this.burstTolerance - (tat - now)) / this.emissionInterval)),
+      resetAt: tat,
+      retryAfter: Math.ceil((allowAt - now) / 1000)
+    };
+  }
+
+  getStatus() {
+    const now = this.clock();
+    const tat = Math.max(this.tat, now);
+    
+    return {
+      tat,
+      rate: this.rate,
+      periodMs: this.periodMs,
+      burst: this.burst,
+      remaining: Math.floor((this.burstTolerance - (tat - now)) / this.emissionInterval),
+      resetIn: Math.ceil((tat - now) / 1000)
+    };
+  }
+
+  // Admin top-up (or drain): move TAT so exactly `remaining` requests fit right now
+  setRemaining(remaining) {
+    const used = this.burst - Math.min(this.burst, Math.max(0, remaining));
+    this.tat = this.clock() + used * this.emissionInterval;
+  }
+
+  // Plain object saved in the store between requests
+  toJSON() {
+    return {
+      rate: this.rate,
+      periodMs: this.periodMs,
+      burst: this.burst,
+      tat: this.tat
+    };
+  }
+}
+
+// Default store (in-memory); pass { store } to share state across servers
+const defaultStore = new MemoryStore();
+const KEY_PREFIX = 'gcra:';
+
+export function gcraMiddleware(rate = 10, periodMs = 60000, {
+  store = defaultStore,
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  burst = rate,
+  cost: requestCost = 1,
+  // () => current time in ms; pass a fake clock to test without sleeping
+  clock = Date.now
+} = {}) {
+  return async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { rate, periodMs, burst, ...limits(req) };
+    // Once TAT is in the past the client is fully caught up and its state can expire
+    const ttlMs = Math.ceil((config.periodMs / config.rate) * config.burst);
+
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'gcra', cost, limit: config.burst })) return;
+    
+    let result;
+    try {
+      result = await store.update(KEY_PREFIX + clientId, (state) => {
+        const gcra = new Gcra(config.rate, config.periodMs, config.burst, state, clock);
+        return { result: gcra.allow(cost), state: gcra.toJSON() };
+      }, ttlMs);
+    } catch (error) {
+      // Fail open - allow the request if the store is unavailable
+      console.error('GCRA store error:', error.message);
+      return next();
+    }
+    
+    // Add rate limit headers
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'gcra',
+      limit: config.burst,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: (config.periodMs / config.rate) * config.burst,
+      cost,
+      now: clock()
+    });
+    
+    if (!result.allowed) {
+      res.setHeader('Retry-After', result.retryAfter);
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
+        algorithm: 'gcra',
+        limit: config.burst,
+        rate: config.rate,
+        periodMs: config.periodMs,
+        cost,
+        retryAfter: result.retryAfter,
+        resetAt: new Date(result.resetAt).toISOString()
+      });
+    }
+    
+    next();
+  };
+}
+
+export async function getGcraStats(store = defaultStore, clock = Date.now) {
+  try {
+    const entries = await store.entries(KEY_PREFIX);
+    return entries.map(([key, state]) => {
+      const gcra = new Gcra(state.rate, state.periodMs, state.burst, state, clock);
+      return {
+        ...parseClientKey(key.slice(KEY_PREFIX.length)),
+        ...gcra.getStatus()
+      };
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin: one client's state, or null if it has none
+export async function getGcraClient(clientId, store = defaultStore, clock = Date.now) {
+  const state = await store.get(KEY_PREFIX + clientId);
+  if (!state) return null;
+
+  const gcra = new Gcra(state.rate, state.periodMs, state.burst, state, clock);
+  return { ...parseClientKey(clientId), ...gcra.getStatus() };
+}
+
+// Admin: forget a client, giving it a fresh full allowance
+export async function resetGcraClient(clientId, store = defaultStore) {
+  return store.delete(KEY_PREFIX + clientId);
+}
+
+// Admin: top up or drain a client to `remaining` requests
+export async function setGcraRemaining(clientId, remaining, store = defaultStore, clock = Date.now) {
+  // Through update() so a request consuming at the same time isn't lost
+  return store.update(KEY_PREFIX + clientId, (state) => {
+    if (!state) return { result: null };
+
+    const gcra = new Gcra(state.rate, state.periodMs, state.burst, state, clock);
+    gcra.setRemaining(remaining);
+    return {
+      state: gcra.toJSON(),
+      ttlMs: Math.ceil((state.periodMs / state.rate) * state.burst),
+      result: { ...parseClientKey(clientId), ...gcra.getStatus() }
+    };
+  });
+}
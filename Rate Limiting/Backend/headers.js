@@ -0,0 +1,35 @@
+/**
+ * Rate Limit Response Headers
+ *
+ * Every middleware accepts a { headers } option:
+ * - 'legacy': X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset (ISO date)
+ * - 'ietf':   IETF draft structured fields (draft-ietf-httpapi-ratelimit-headers)
+ *               RateLimit-Policy: 10;w=60
+ *               RateLimit: limit=10, remaining=7, reset=42
+ * - 'both':   emit both sets
+ *
+ * X-RateLimit-Algorithm is always sent so the demo can tell limiters apart,
+ * and X-RateLimit-Cost shows how many units the request was charged.
+ */
+
+export const HEADER_FORMATS = ['legacy', 'ietf', 'both'];
+
+// limit/remaining/cost in units, resetAt as an epoch ms timestamp, windowMs is the policy window,
+// now is the limiter's current time (so a fake clock gives consistent reset seconds)
+export function setRateLimitHeaders(res, format = 'legacy', { algorithm, limit, remaining, resetAt, windowMs, cost = 1, now = Date.now() }) {
+  if (format === 'legacy' || format === 'both') {
+    res.setHeader('X-RateLimit-Limit', limit);
+    res.setHeader('X-RateLimit-Remaining', remaining);
+    res.setHeader('X-RateLimit-Reset', new Date(resetAt).toISOString());
+  }
+
+  if (format === 'ietf' || format === 'both') {
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - now) / 1000));
+    const windowSeconds = Math.max(1, Math.ceil(windowMs / 1000));
+    res.setHeader('RateLimit-Policy', `${limit};w=${windowSeconds}`);
+    res.setHeader('RateLimit', `limit=${limit}, remaining=${remaining}, reset=${resetSeconds}`);
+  }
+
+  res.setHeader('X-RateLimit-Algorithm', algorithm);
+  res.setHeader('X-RateLimit-Cost', cost);
+}
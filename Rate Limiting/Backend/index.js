@@ -1,19 +1,57 @@
+import fs from 'fs';
+import path from 'path';
 import express from 'express';
 import cors from 'cors';
 import { tokenBucketMiddleware, getTokenBucketStats } from './tokenBucket.js';
 import { slidingWindowMiddleware, getSlidingWindowStats } from './slidingWindow.js';
 import { fixedWindowMiddleware, getFixedWindowStats } from './fixedWindow.js';
+import {
+  slidingWindowCounterMiddleware,
+  getSlidingWindowCounterStats
+} from './slidingWindowCounter.js';
+import { leakyBucketMiddleware, getLeakyBucketStats } from './leakyBucket.js';
+import { gcraMiddleware, getGcraStats } from './gcra.js';
+import { concurrencyLimitMiddleware, getConcurrencyLimitStats } from './concurrencyLimit.js';
 import { 
   distributedRedisMiddleware, 
   getDistributedStats, 
   initRedis,
-  isRedisConnected 
+  isRedisConnected,
+  getRedisClient,
+  getRedisHealth,
+  countRedisKeys
 } from './distributedRedis.js';
+import {
+  distributedTokenBucketMiddleware,
+  getDistributedTokenBucketStats
+} from './distributedTokenBucket.js';
+import {
+  distributedFixedWindowMiddleware,
+  getDistributedFixedWindowStats
+} from './distributedFixedWindow.js';
+import { createStore, RedisStore, MemoryStore, FallbackStore } from './stores/index.js';
+import { createKeyGenerator, ipKeyGenerator, redactClientId } from './keyGenerators.js';
+import { planLimits, getApiKey } from './plans.js';
+import { HEADER_FORMATS } from './headers.js';
+import { FAILURE_POLICIES } from './failurePolicy.js';
+import { createAdminRouter, hasAdminToken } from './adminRoutes.js';
+import { createClientLimits } from './clientLimits.js';
+import { instrument, trackClients, metricsHandler } from './metrics.js';
+import { streamDecisions, decisionStreamHandler } from './decisionStream.js';
+import { createRulesEngine } from './rules.js';
+import { createAccessControl, skipIfAllowed } from './accessControl.js';
 
 const app = express();
 const PORT = 3001;
 
-app.use(cors());
+// Browsers only let scripts read response headers listed here
+app.use(cors({
+  exposedHeaders: [
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Algorithm',
+    'X-RateLimit-Cost', 'X-RateLimit-Delay', 'X-RateLimit-Degraded', 'RateLimit', 'RateLimit-Policy',
+    'Retry-After', 'X-Concurrency-Limit', 'X-Concurrency-Remaining'
+  ]
+}));
 app.use(express.json());
 
 // Initialize Redis (optional - server works without it)
@@ -21,11 +59,156 @@ initRedis().catch(err => {
   console.log('Starting server without Redis support');
 });
 
+// Storage backend for the in-process algorithms:
+// RATE_LIMIT_STORE=memory (default) | redis | file
+// RATE_LIMIT_MAX_ENTRIES=max clients tracked per algorithm (memory/file, LRU eviction)
+const storeType = process.env.RATE_LIMIT_STORE || 'memory';
+const stateFile = path.parse(path.resolve(process.env.RATE_LIMIT_STATE_FILE || 'ratelimit-state.json'));
+
+// One store per algorithm, so each gets its own cap and eviction counts
+// (and, in Redis, its own key prefix, so counting one store's entries
+// doesn't count every algorithm's)
+const stores = {};
+function storeFor(algorithm) {
+  if (!stores[algorithm]) {
+    stores[algorithm] = createStore(storeType, {
+      getClient: getRedisClient,
+      prefix: `rlstore:${algorithm}:`,
+      filePath: path.join(stateFile.dir, `${stateFile.name}.${algorithm}${stateFile.ext}`),
+      maxEntries: Number(process.env.RATE_LIMIT_MAX_ENTRIES) || Infinity
+    });
+  }
+  return stores[algorithm];
+}
+
+// Who each request counts against:
+// RATE_LIMIT_KEY=api-key (default, registered keys only, falls back to IP) | ip | user | route-ip
+// TRUSTED_PROXIES=comma-separated IPs/CIDRs allowed to set X-Forwarded-For
+const keyStrategy = process.env.RATE_LIMIT_KEY || 'api-key';
+const trustedProxies = (process.env.TRUSTED_PROXIES || '').split(',').filter(Boolean);
+const keyOptions = { trustedProxies, isKnownKey: (key) => getApiKey(key) !== null };
+const keyGenerator = createKeyGenerator(keyStrategy, keyOptions);
+
+// Response header format: RATE_LIMIT_HEADERS=both (default) | legacy | ietf
+const headerFormat = process.env.RATE_LIMIT_HEADERS || 'both';
+if (!HEADER_FORMATS.includes(headerFormat)) {
+  throw new Error(`RATE_LIMIT_HEADERS must be one of: ${HEADER_FORMATS.join(', ')}`);
+}
+
+// What distributed limiters do without Redis:
+// RATE_LIMIT_FAILURE_POLICY=closed (default, 503) | open | local
+// RATE_LIMIT_INSTANCES=number of servers sharing the limit ('local' enforces limit / instances)
+const failurePolicy = process.env.RATE_LIMIT_FAILURE_POLICY || 'closed';
+if (!FAILURE_POLICIES.includes(failurePolicy)) {
+  throw new Error(`RATE_LIMIT_FAILURE_POLICY must be one of: ${FAILURE_POLICIES.join(', ')}`);
+}
+const instances = Number(process.env.RATE_LIMIT_INSTANCES) || 1;
+
+// Options shared by every limiter: where state lives, who a request
+// counts against, per-request limits from the caller's plan, header format
+function limiterOptions(algorithm) {
+  const options = { keyGenerator, limits: planLimits(algorithm), headers: headerFormat };
+  // Distributed limiters keep their own Redis state
+  if (algorithm.startsWith('distributed')) {
+    options.failurePolicy = failurePolicy;
+    options.instances = instances;
+  } else {
+    options.store = storeFor(algorithm);
+  }
+  return options;
+}
+
+// Wrap a limiter so /metrics and /api/events see its decisions, and
+// allowlisted clients skip it
+function limited(algorithm, middleware, route) {
+  const store = algorithm.startsWith('distributed') ? 'redis' : storeType;
+  const streamed = streamDecisions(middleware, { algorithm, keyGenerator, route });
+  return skipIfAllowed(instrument(streamed, { algorithm, store, route }));
+}
+
+// Stats are public, so API keys show up as fingerprints unless the request
+// carries the admin token (admins need the full key for /api/admin/limits)
+function clientsFor(req, clients) {
+  if (!Array.isArray(clients) || hasAdminToken(req)) return clients;
+  return clients.map(client => ({ ...client, clientId: redactClientId(client.strategy, client.clientId) }));
+}
+
+// Allow/deny lists and the penalty box, checked before any limiter:
+// RATE_LIMIT_ALLOWLIST / RATE_LIMIT_BLOCKLIST=comma-separated IPs, CIDRs or key:<api key>
+// RATE_LIMIT_BAN_THRESHOLD=consecutive 429s before a ban (default 5, 0 disables)
+// RATE_LIMIT_BAN_SECONDS=ban length (default 600)
+// Bans are shared through Redis while it is connected
+const listFromEnv = (name) => (process.env[name] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+const banThreshold = process.env.RATE_LIMIT_BAN_THRESHOLD;
+const accessControl = createAccessControl({
+  allow: listFromEnv('RATE_LIMIT_ALLOWLIST'),
+  deny: listFromEnv('RATE_LIMIT_BLOCKLIST'),
+  threshold: banThreshold === undefined ? 5 : Number(banThreshold),
+  durationMs: (Number(process.env.RATE_LIMIT_BAN_SECONDS) || 600) * 1000,
+  store: new FallbackStore({
+    primary: new RedisStore({ getClient: getRedisClient, prefix: 'rlban:' }),
+    fallback: new MemoryStore()
+  }),
+  keyGenerator,
+  ipKey: ipKeyGenerator({ trustedProxies })
+});
+
+// Declarative limits: RATE_LIMIT_RULES=path to a JSON rules file (default
+// ratelimit.rules.json, skipped if missing). Watched and reloaded on change.
+const rulesFile = path.resolve(process.env.RATE_LIMIT_RULES || 'ratelimit.rules.json');
+const rules = fs.existsSync(rulesFile)
+  ? createRulesEngine({
+    filePath: rulesFile,
+    storeFor,
+    keyGenerator,
+    keyOptions,
+    limiterOptions: { headers: headerFormat, failurePolicy, instances },
+    wrap: (middleware, rule) => limited(rule.algorithm, middleware, rule.route)
+  })
+  : null;
+
+// Tracked client gauges, counted when /metrics is scraped
+trackClients(async () => {
+  const counts = {};
+  for (const [algorithm, store] of Object.entries(stores)) {
+    counts[algorithm] = (await store.entries('')).length;
+  }
+  if (isRedisConnected()) {
+    counts['distributed-redis'] = await countRedisKeys('ratelimit:*');
+    counts['distributed-token-bucket'] = await countRedisKeys('ratelimit-tb:*');
+    counts['distributed-fixed-window'] = await countRedisKeys('ratelimit-fw:*');
+  }
+  return counts;
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', metricsHandler);
+
+// Plans, API keys, bans & rules file management (requires ADMIN_TOKEN)
+app.use('/api/admin', createAdminRouter({
+  rules,
+  access: accessControl,
+  limits: createClientLimits({ storeFor })
+}));
+
+// Allow/deny lists and bans apply to every route below
+app.use(accessControl.middleware);
+
+// Rules from the rules file run before the routes below
+if (rules) {
+  app.use(rules.middleware);
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok',
-    redis: isRedisConnected() ? 'connected' : 'disconnected'
+    store: storeType,
+    keyStrategy,
+    redis: isRedisConnected() ? 'connected' : 'disconnected',
+    failurePolicy,
+    // Time spent without Redis (distributed limiters on their failure policy)
+    redisHealth: getRedisHealth()
   });
 });
 
@@ -33,8 +216,11 @@ app.get('/health', (req, res) => {
 // TOKEN BUCKET ENDPOINTS
 // ======================
 
+// Limits below are the fallback; the caller's plan (free/pro/enterprise,
+// looked up from X-API-Key on every request) takes precedence.
+
 // Token Bucket: 5 requests, refills at 1 token/second
-app.get('/api/token-bucket', tokenBucketMiddleware(5, 1), (req, res) => {
+app.get('/api/token-bucket', limited('token-bucket', tokenBucketMiddleware(5, 1, limiterOptions('token-bucket'))), (req, res) => {
   res.json({
     message: 'Request successful!',
     algorithm: 'token-bucket',
@@ -43,10 +229,20 @@ app.get('/api/token-bucket', tokenBucketMiddleware(5, 1), (req, res) => {
   });
 });
 
-app.get('/api/token-bucket/stats', (req, res) => {
+// Expensive endpoint: same bucket as above, but each export costs 3 tokens
+app.get('/api/token-bucket/export', limited('token-bucket', tokenBucketMiddleware(5, 1, { ...limiterOptions('token-bucket'), cost: 3 })), (req, res) => {
   res.json({
+    message: 'Export successful!',
     algorithm: 'token-bucket',
-    clients: getTokenBucketStats()
+    timestamp: new Date().toISOString(),
+    info: 'Costs 3 tokens from the same bucket as /api/token-bucket'
+  });
+});
+
+app.get('/api/token-bucket/stats', async (req, res) => {
+  res.json({
+    algorithm: 'token-bucket',
+    clients: clientsFor(req, await getTokenBucketStats(storeFor('token-bucket')))
   });
 });
 
@@ -55,7 +251,7 @@ app.get('/api/token-bucket/stats', (req, res) => {
 // ======================
 
 // Sliding Window: 8 requests per 30 seconds
-app.get('/api/sliding-window', slidingWindowMiddleware(8, 30000), (req, res) => {
+app.get('/api/sliding-window', limited('sliding-window', slidingWindowMiddleware(8, 30000, limiterOptions('sliding-window'))), (req, res) => {
   res.json({
     message: 'Request successful!',
     algorithm: 'sliding-window',
@@ -64,10 +260,10 @@ app.get('/api/sliding-window', slidingWindowMiddleware(8, 30000), (req, res) =>
   });
 });
 
-app.get('/api/sliding-window/stats', (req, res) => {
+app.get('/api/sliding-window/stats', async (req, res) => {
   res.json({
     algorithm: 'sliding-window',
-    clients: getSlidingWindowStats()
+    clients: clientsFor(req, await getSlidingWindowStats(storeFor('sliding-window')))
   });
 });
 
@@ -76,7 +272,7 @@ app.get('/api/sliding-window/stats', (req, res) => {
 // ======================
 
 // Fixed Window: 6 requests per 20 seconds
-app.get('/api/fixed-window', fixedWindowMiddleware(6, 20000), (req, res) => {
+app.get('/api/fixed-window', limited('fixed-window', fixedWindowMiddleware(6, 20000, limiterOptions('fixed-window'))), (req, res) => {
   res.json({
     message: 'Request successful!',
     algorithm: 'fixed-window',
@@ -85,10 +281,124 @@ app.get('/api/fixed-window', fixedWindowMiddleware(6, 20000), (req, res) => {
   });
 });
 
-app.get('/api/fixed-window/stats', (req, res) => {
+app.get('/api/fixed-window/stats', async (req, res) => {
   res.json({
     algorithm: 'fixed-window',
-    clients: getFixedWindowStats()
+    clients: clientsFor(req, await getFixedWindowStats(storeFor('fixed-window')))
+  });
+});
+
+// ======================
+// SLIDING WINDOW COUNTER ENDPOINTS
+// ======================
+
+// Sliding Window Counter: 8 requests per 30 seconds (same limit as the log, for comparison)
+app.get('/api/sliding-counter', limited('sliding-counter', slidingWindowCounterMiddleware(8, 30000, limiterOptions('sliding-counter'))), (req, res) => {
+  res.json({
+    message: 'Request successful!',
+    algorithm: 'sliding-counter',
+    timestamp: new Date().toISOString(),
+    info: 'Limit: ~8 requests per 30 seconds (weighted previous + current window)'
+  });
+});
+
+app.get('/api/sliding-counter/stats', async (req, res) => {
+  res.json({
+    algorithm: 'sliding-counter',
+    clients: clientsFor(req, await getSlidingWindowCounterStats(storeFor('sliding-counter')))
+  });
+});
+
+// ======================
+// LEAKY BUCKET ENDPOINTS
+// ======================
+
+// Leaky Bucket: queue of 5, drains 1 request/second; queued requests are delayed, not rejected
+app.get('/api/leaky-bucket', limited('leaky-bucket', leakyBucketMiddleware(5, 1, { ...limiterOptions('leaky-bucket'), mode: 'delay' })), (req, res) => {
+  res.json({
+    message: 'Request successful!',
+    algorithm: 'leaky-bucket',
+    timestamp: new Date().toISOString(),
+    info: 'Capacity: 5 requests, Leak: 1 request/second (excess is queued)'
+  });
+});
+
+app.get('/api/leaky-bucket/stats', async (req, res) => {
+  res.json({
+    algorithm: 'leaky-bucket',
+    clients: clientsFor(req, await getLeakyBucketStats(storeFor('leaky-bucket')))
+  });
+});
+
+// ======================
+// GCRA ENDPOINTS
+// ======================
+
+// GCRA: 6 requests per 30 seconds (one every 5s), bursts of up to 3
+app.get('/api/gcra', limited('gcra', gcraMiddleware(6, 30000, { ...limiterOptions('gcra'), burst: 3 })), (req, res) => {
+  res.json({
+    message: 'Request successful!',
+    algorithm: 'gcra',
+    timestamp: new Date().toISOString(),
+    info: 'Rate: 6 requests per 30 seconds, Burst: 3'
+  });
+});
+
+app.get('/api/gcra/stats', async (req, res) => {
+  res.json({
+    algorithm: 'gcra',
+    clients: clientsFor(req, await getGcraStats(storeFor('gcra')))
+  });
+});
+
+// ======================
+// CONCURRENCY ENDPOINTS
+// ======================
+
+// Concurrency Limit: 2 in-flight requests per client, up to 2 more wait (3s max) for a slot
+app.get('/api/concurrency', limited('concurrency', concurrencyLimitMiddleware(2, {
+  ...limiterOptions('concurrency'),
+  maxQueue: 2,
+  queueTimeoutMs: 3000
+})), (req, res) => {
+  // Simulate a slow endpoint so requests overlap
+  setTimeout(() => {
+    res.json({
+      message: 'Request successful!',
+      algorithm: 'concurrency',
+      timestamp: new Date().toISOString(),
+      info: 'Max 2 in flight per client, each takes 2 seconds (2 more may queue for 3 seconds)'
+    });
+  }, 2000);
+});
+
+app.get('/api/concurrency/stats', async (req, res) => {
+  res.json({
+    algorithm: 'concurrency',
+    clients: clientsFor(req, await getConcurrencyLimitStats(storeFor('concurrency')))
+  });
+});
+
+// ======================
+// RULES FILE ENDPOINTS
+// ======================
+
+// No inline limiter: ratelimit.rules.json decides how these are limited
+app.get('/api/reports/:id', (req, res) => {
+  res.json({
+    message: 'Request successful!',
+    report: req.params.id,
+    timestamp: new Date().toISOString(),
+    info: 'Limited by the "reports" rule in the rules file'
+  });
+});
+
+app.post('/api/reports/:id/export', (req, res) => {
+  res.json({
+    message: 'Export started!',
+    report: req.params.id,
+    timestamp: new Date().toISOString(),
+    info: 'Limited by the "reports" and "report-exports" rules (costs 5 tokens)'
   });
 });
 
@@ -97,7 +407,7 @@ app.get('/api/fixed-window/stats', (req, res) => {
 // ======================
 
 // Distributed Redis: 10 requests per 60 seconds
-app.get('/api/distributed', distributedRedisMiddleware(10, 60000), (req, res) => {
+app.get('/api/distributed', limited('distributed-redis', distributedRedisMiddleware(10, 60000, limiterOptions('distributed-redis'))), (req, res) => {
   res.json({
     message: 'Request successful!',
     algorithm: 'distributed-redis',
@@ -106,15 +416,52 @@ app.get('/api/distributed', distributedRedisMiddleware(10, 60000), (req, res) =>
   });
 });
 
-app.get('/api/distributed/stats', async (req, res) => {
-  const stats = await getDistributedStats();
+// Stats for a Redis-backed algorithm, paginated with SCAN:
+// ?cursor=<from the previous page>&limit=100, or ?summary=true for totals only
+const distributedStatsHandler = (algorithm, getStats) => async (req, res) => {
+  const cursor = Number(req.query.cursor || 0);
+  const limit = Number(req.query.limit || 100);
+  if (!Number.isInteger(cursor) || cursor < 0 || !Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'cursor must be a cursor from a previous page and limit an integer from 1 to 1000'
+    });
+  }
+
+  const stats = await getStats({ cursor, limit, summary: req.query.summary === 'true' });
   res.json({
-    algorithm: 'distributed-redis',
+    algorithm,
     redis: isRedisConnected() ? 'connected' : 'disconnected',
-    clients: stats
+    ...(stats.error ? { clients: stats } : { ...stats, clients: clientsFor(req, stats.clients) })
+  });
+};
+
+app.get('/api/distributed/stats', distributedStatsHandler('distributed-redis', getDistributedStats));
+
+// Distributed Token Bucket: 5 requests, refills at 1 token/second (shared)
+app.get('/api/distributed/token-bucket', limited('distributed-token-bucket', distributedTokenBucketMiddleware(5, 1, limiterOptions('distributed-token-bucket'))), (req, res) => {
+  res.json({
+    message: 'Request successful!',
+    algorithm: 'distributed-token-bucket',
+    timestamp: new Date().toISOString(),
+    info: 'Capacity: 5 tokens, Refill: 1 token/second (shared across all servers)'
   });
 });
 
+app.get('/api/distributed/token-bucket/stats', distributedStatsHandler('distributed-token-bucket', getDistributedTokenBucketStats));
+
+// Distributed Fixed Window: 6 requests per 20 seconds (shared)
+app.get('/api/distributed/fixed-window', limited('distributed-fixed-window', distributedFixedWindowMiddleware(6, 20000, limiterOptions('distributed-fixed-window'))), (req, res) => {
+  res.json({
+    message: 'Request successful!',
+    algorithm: 'distributed-fixed-window',
+    timestamp: new Date().toISOString(),
+    info: 'Limit: 6 requests per 20 seconds (shared across all servers)'
+  });
+});
+
+app.get('/api/distributed/fixed-window/stats', distributedStatsHandler('distributed-fixed-window', getDistributedFixedWindowStats));
+
 // ======================
 // COMPARISON ENDPOINT
 // ======================
@@ -147,6 +494,30 @@ app.get('/api/info', (req, res) => {
         cons: ['Boundary issue (2x burst possible)', 'Less accurate'],
         useCase: 'Simple rate limiting with minimal overhead'
       },
+      {
+        name: 'Sliding Window Counter',
+        endpoint: '/api/sliding-counter',
+        config: { maxRequests: 8, window: '30 seconds' },
+        pros: ['Memory efficient (2 counters per client)', 'Smooths boundary bursts', 'Fast'],
+        cons: ['Approximate', 'Assumes even spread in previous window'],
+        useCase: 'Near-sliding-window accuracy at fixed window memory cost'
+      },
+      {
+        name: 'Leaky Bucket',
+        endpoint: '/api/leaky-bucket',
+        config: { capacity: 5, leakRate: '1/second', mode: 'delay' },
+        pros: ['Perfectly smooth output rate', 'Can queue instead of reject', 'Memory efficient'],
+        cons: ['Adds latency when queuing', 'Bursts are flattened, not served'],
+        useCase: 'Protecting backends that need a steady request stream'
+      },
+      {
+        name: 'GCRA',
+        endpoint: '/api/gcra',
+        config: { rate: 6, period: '30 seconds', burst: 3 },
+        pros: ['Single timestamp per client', 'Allows controlled bursts', 'No refill bookkeeping'],
+        cons: ['Less intuitive', 'Harder to explain to users'],
+        useCase: 'High-scale APIs that want token bucket behavior with minimal state'
+      },
       {
         name: 'Distributed (Redis)',
         endpoint: '/api/distributed',
@@ -155,19 +526,60 @@ app.get('/api/info', (req, res) => {
         cons: ['Requires Redis', 'Network dependency', 'Slightly slower'],
         useCase: 'Production systems with multiple servers',
         available: isRedisConnected()
+      },
+      {
+        name: 'Distributed Token Bucket (Redis)',
+        endpoint: '/api/distributed/token-bucket',
+        config: { capacity: 5, refillRate: '1/second' },
+        pros: ['Allows bursts', 'Shared across servers', 'One small hash per client'],
+        cons: ['Requires Redis', 'Network dependency'],
+        useCase: 'Burst-friendly limits across multiple servers',
+        available: isRedisConnected()
+      },
+      {
+        name: 'Distributed Fixed Window (Redis)',
+        endpoint: '/api/distributed/fixed-window',
+        config: { maxRequests: 6, window: '20 seconds' },
+        pros: ['Shared across servers', 'One integer per client', 'Expiry resets the window'],
+        cons: ['Requires Redis', 'Boundary issue (2x burst possible)'],
+        useCase: 'Cheapest shared limit across multiple servers',
+        available: isRedisConnected()
+      },
+      {
+        name: 'Concurrency Limit',
+        endpoint: '/api/concurrency',
+        config: { maxConcurrent: 2, queue: 2, queueTimeout: '3 seconds' },
+        pros: ['Protects slow endpoints', 'Independent of request rate', 'Leases expire if a server dies'],
+        cons: ['Does not limit fast request floods', 'Queued requests hold connections'],
+        useCase: 'Capping in-flight work on expensive endpoints'
       }
     ]
   });
 });
 
+// Live limiter decisions from every client as server-sent events (?algorithm= to filter)
+app.get('/api/events', decisionStreamHandler);
+
 // Global stats endpoint
 app.get('/api/stats', async (req, res) => {
   const stats = {
-    tokenBucket: getTokenBucketStats(),
-    slidingWindow: getSlidingWindowStats(),
-    fixedWindow: getFixedWindowStats(),
-    distributed: await getDistributedStats(),
-    redis: isRedisConnected()
+    store: storeType,
+    tokenBucket: clientsFor(req, await getTokenBucketStats(storeFor('token-bucket'))),
+    slidingWindow: clientsFor(req, await getSlidingWindowStats(storeFor('sliding-window'))),
+    fixedWindow: clientsFor(req, await getFixedWindowStats(storeFor('fixed-window'))),
+    slidingCounter: clientsFor(req, await getSlidingWindowCounterStats(storeFor('sliding-counter'))),
+    leakyBucket: clientsFor(req, await getLeakyBucketStats(storeFor('leaky-bucket'))),
+    gcra: clientsFor(req, await getGcraStats(storeFor('gcra'))),
+    concurrency: clientsFor(req, await getConcurrencyLimitStats(storeFor('concurrency'))),
+    // Totals only; per-client state is paged at /api/distributed/*/stats
+    distributed: await getDistributedStats({ summary: true }),
+    distributedTokenBucket: await getDistributedTokenBucketStats({ summary: true }),
+    distributedFixedWindow: await getDistributedFixedWindowStats({ summary: true }),
+    // Size and eviction counts (expired / LRU) per algorithm's store
+    stores: Object.fromEntries(
+      Object.entries(stores).map(([algorithm, store]) => [algorithm, store.getStats()])
+    ),
+    redis: getRedisHealth()
   };
   res.json(stats);
 });
@@ -182,12 +594,28 @@ app.listen(PORT, () => {
 
 📊 Available Algorithms:
    • Token Bucket:      http://localhost:${PORT}/api/token-bucket
+   • Weighted (cost 3): http://localhost:${PORT}/api/token-bucket/export
    • Sliding Window:    http://localhost:${PORT}/api/sliding-window
    • Fixed Window:      http://localhost:${PORT}/api/fixed-window
+   • Sliding Counter:   http://localhost:${PORT}/api/sliding-counter
+   • Leaky Bucket:      http://localhost:${PORT}/api/leaky-bucket
+   • GCRA:              http://localhost:${PORT}/api/gcra
+   • Concurrency:       http://localhost:${PORT}/api/concurrency
    • Distributed Redis: http://localhost:${PORT}/api/distributed
+   • Dist. Token Bucket: http://localhost:${PORT}/api/distributed/token-bucket
+   • Dist. Fixed Window: http://localhost:${PORT}/api/distributed/fixed-window
+
+💾 State Store:       ${storeType}
+🔑 Key Strategy:      ${keyStrategy}
+🛟 Redis Failure:     ${failurePolicy}${failurePolicy === 'local' ? ` (1/${instances} of each limit)` : ''}
+
+📜 Rules File:        ${rules ? `${rulesFile} (${rules.getRules().length} rules, watched)` : 'none'}
+🔐 Admin API:         http://localhost:${PORT}/api/admin/plans ${process.env.ADMIN_TOKEN ? '' : '(disabled - set ADMIN_TOKEN)'}
 
 📈 Stats Endpoints:
    • All Stats:         http://localhost:${PORT}/api/stats
+   • Prometheus:        http://localhost:${PORT}/metrics
+   • Live Decisions:    http://localhost:${PORT}/api/events
    • Algorithm Info:    http://localhost:${PORT}/api/info
 
 ${isRedisConnected() ? '✅ Redis connected - Distributed rate limiting available' : '⚠️  Redis not available - Distributed rate limiting disabled'}
@@ -0,0 +1,46 @@
+/**
+ * IP address helpers
+ *
+ * - Normalizes IPv4-mapped IPv6 addresses (::ffff:1.2.3.4 -> 1.2.3.4)
+ * - Matches an address against exact IPs or IPv4 CIDR ranges (10.0.0.0/8)
+ */
+
+export function normalizeIp(ip) {
+  if (!ip) return ip;
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!/^\d+$/.test(part) || octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+// entry is an exact address ("127.0.0.1", "::1") or an IPv4 CIDR ("10.0.0.0/8")
+export function ipMatches(ip, entry) {
+  const address = normalizeIp(ip);
+  if (!entry.includes('/')) {
+    return address === normalizeIp(entry);
+  }
+
+  const [range, bitsText] = entry.split('/');
+  const bits = Number(bitsText);
+  const addressInt = ipv4ToInt(address);
+  const rangeInt = ipv4ToInt(range);
+  if (addressInt === null || rangeInt === null || !(bits >= 0 && bits <= 32)) return false;
+
+  // 2 ** (32 - bits) addresses per block; compare block numbers
+  const blockSize = 2 ** (32 - bits);
+  return Math.floor(addressInt / blockSize) === Math.floor(rangeInt / blockSize);
+}
+
+export function ipInList(ip, list) {
+  return list.some(entry => ipMatches(ip, entry));
+}
@@ -0,0 +1,118 @@
+/**
+ * Client Key Strategies
+ *
+ * Decide *who* a request counts against. Every middleware accepts a
+ * { keyGenerator } option; a key generator is (req) => ({ strategy, id }).
+ *
+ * - ip:       client IP, walking X-Forwarded-For through trusted proxies only
+ * - api-key:  X-API-Key header (falls back to ip when missing or not a known key)
+ * - user:     authenticated user id from req.user (falls back to ip)
+ * - route-ip: method + route + IP, so each endpoint gets its own budget
+ *
+ * Stored keys look like "<strategy>:<id>" so stats can report which
+ * strategy produced each entry.
+ */
+
+import crypto from 'crypto';
+import { normalizeIp, ipInList } from './ipUtils.js';
+
+// Without trusted proxies, X-Forwarded-For is ignored: anyone can forge it
+export function ipKeyGenerator({ trustedProxies = [] } = {}) {
+  return (req) => {
+    const remote = req.socket?.remoteAddress || req.ip;
+    if (!remote) return { strategy: 'ip', id: 'unknown' };
+
+    if (!ipInList(remote, trustedProxies)) {
+      return { strategy: 'ip', id: normalizeIp(remote) };
+    }
+
+    // Each proxy appends the address it received from, so walk right-to-left
+    // and stop at the first hop we don't trust - that's the real client
+    const forwarded = (req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(hop => hop.trim())
+      .filter(Boolean);
+
+    for (let i = forwarded.length - 1; i >= 0; i--) {
+      if (!ipInList(forwarded[i], trustedProxies)) {
+        return { strategy: 'ip', id: normalizeIp(forwarded[i]) };
+      }
+    }
+
+    return { strategy: 'ip', id: normalizeIp(forwarded[0] || remote) };
+  };
+}
+
+// isKnownKey: (key) => boolean. Pass it whenever keys are issued: otherwise
+// every made-up key is a fresh client and sidesteps the limits entirely
+export function apiKeyGenerator({ header = 'x-api-key', fallback = ipKeyGenerator(), isKnownKey = () => true } = {}) {
+  return (req) => {
+    const apiKey = req.headers[header.toLowerCase()];
+    return apiKey && isKnownKey(apiKey) ? { strategy: 'api-key', id: apiKey } : fallback(req);
+  };
+}
+
+// Expects an auth middleware earlier in the chain to set req.user
+export function userKeyGenerator({ fallback = ipKeyGenerator() } = {}) {
+  return (req) => {
+    const userId = req.user?.id;
+    return userId !== undefined ? { strategy: 'user', id: String(userId) } : fallback(req);
+  };
+}
+
+export function routeIpKeyGenerator({ ipKey = ipKeyGenerator() } = {}) {
+  return (req) => {
+    const route = `${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    return { strategy: 'route-ip', id: `${req.method} ${route}|${ipKey(req).id}` };
+  };
+}
+
+export function createKeyGenerator(strategy = 'ip', options = {}) {
+  const ipKey = ipKeyGenerator(options);
+
+  switch (strategy) {
+    case 'ip':
+      return ipKey;
+    case 'api-key':
+      return apiKeyGenerator({ ...options, fallback: ipKey });
+    case 'user':
+      return userKeyGenerator({ fallback: ipKey });
+    case 'route-ip':
+      return routeIpKeyGenerator({ ipKey });
+    default:
+      throw new Error(`Unknown key strategy: ${strategy}`);
+  }
+}
+
+export const defaultKeyGenerator = ipKeyGenerator();
+
+export function clientKey(req, keyGenerator = defaultKeyGenerator) {
+  const { strategy, id } = keyGenerator(req);
+  return `${strategy}:${id}`;
+}
+
+// Inverse of clientKey, for stats
+export function parseClientKey(key) {
+  const separator = key.indexOf(':');
+  return {
+    clientId: key.slice(separator + 1),
+    strategy: key.slice(0, separator)
+  };
+}
+
+// API keys are secrets, so anything shown to other clients (public stats,
+// the decision stream) gets a short fingerprint instead: "api-key:#3f2a9c1b44d0".
+// Rule-scoped ids keep the rule name ("reports|#3f2a9c1b44d0").
+export function redactClientId(strategy, clientId) {
+  if (strategy !== 'api-key') return clientId;
+
+  const separator = clientId.lastIndexOf('|');
+  const key = clientId.slice(separator + 1);
+  const fingerprint = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+  return `${clientId.slice(0, separator + 1)}#${fingerprint}`;
+}
+
+export function redactClientKey(key) {
+  const { strategy, clientId } = parseClientKey(key);
+  return `${strategy}:${redactClientId(strategy, clientId)}`;
+}
@@ -0,0 +1,213 @@
+/**
+ * Leaky Bucket Algorithm
+ * 
+ * - Requests pour into a bucket (queue) of fixed capacity
+ * - The bucket leaks (processes requests) at a constant rate
+ * - If the bucket is full, the request is rejected
+ * - Two modes:
+ *   - 'reject': admitted requests run immediately (leaky bucket as a meter)
+ *   - 'delay':  admitted requests wait their turn in the queue, so the
+ *               handler sees a perfectly smooth output rate (traffic shaping)
+ * 
+ * Best for: Smoothing bursty traffic into a steady stream for a fragile backend
+ */
+
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+
+export class LeakyBucket {
+  // state is the plain object previously saved in the store (null for a new client)
+  constructor(capacity, leakRate, state = null, clock = Date.now) {
+    this.clock = clock; // () => current time in ms
+    this.capacity = capacity; // Maximum requests the bucket (queue) can hold
+    this.leakRate = leakRate; // Requests drained per second
+    this.level = state ? state.level : 0; // Requests currently in the bucket
+    this.lastLeak = state ? state.lastLeak : this.clock();
+  }
+
+  // Drain requests based on time elapsed
+  leak() {
+    const now = this.clock();
+    const elapsed = (now - this.lastLeak) / 1000; // seconds
+    
+    this.level = Math.max(0, this.level - elapsed * this.leakRate);
+    this.lastLeak = now;
+  }
+
+  // When the bucket will be empty again
+  drainedAt() {
+    return this.lastLeak + Math.ceil((this.level / this.leakRate) * 1000);
+  }
+
+  // Try to add a request weighing `cost` units to the bucket
+  add(cost = 1) {
+    this.leak();
+    
+    if (this.level + cost <= this.capacity) {
+      // Everything already queued has to drain before this request's turn
+      const delayMs = Math.ceil((this.level / this.leakRate) * 1000);
+      this.level += cost;
+      return {
+        allowed: true,
+        remaining: Math.floor(this.capacity - this.level),
+        resetAt: this.drainedAt(),
+        delayMs
+      };
+    }
+    
+    return {
+      allowed: false,
+      remaining: Math.floor(this.capacity - this.level),
+      resetAt: this.drainedAt(),
+      retryAfter: Math.ceil((this.level + cost - this.capacity) / this.leakRate)
+    };
+  }
+
+  getStatus() {
+    this.leak();
+    return {
+      level: Math.round(this.level * 100) / 100,
+      capacity: this.capacity,
+      leakRate: this.leakRate,
+      drainsIn: Math.ceil(this.level / this.leakRate)
+    };
+  }
+
+  // Admin top-up (or drain): leave room for exactly `remaining` requests
+  setRemaining(remaining) {
+    this.leak();
+    this.level = this.capacity - Math.min(this.capacity, Math.max(0, remaining));
+  }
+
+  // Plain object saved in the store between requests
+  toJSON() {
+    return {
+      capacity: this.capacity,
+      leakRate: this.leakRate,
+      level: this.level,
+      lastLeak: this.lastLeak
+    };
+  }
+}
+
+// Default store (in-memory); pass { store } to share state across servers
+const defaultStore = new MemoryStore();
+const KEY_PREFIX = 'leaky-bucket:';
+
+export function leakyBucketMiddleware(capacity = 10, leakRate = 2, {
+  store = defaultStore,
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  mode = 'reject',
+  cost: requestCost = 1,
+  // () => current time in ms; pass a fake clock to test without sleeping
+  clock = Date.now
+} = {}) {
+  return async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { capacity, leakRate, ...limits(req) };
+    // After this long an idle bucket is empty again, so its state can expire
+    const ttlMs = Math.ceil((config.capacity / config.leakRate) * 1000);
+
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'leaky-bucket', cost, limit: config.capacity })) return;
+    
+    let result;
+    try {
+      result = await store.update(KEY_PREFIX + clientId, (state) => {
+        const bucket = new LeakyBucket(config.capacity, config.leakRate, state, clock);
+        return { result: bucket.add(cost), state: bucket.toJSON() };
+      }, ttlMs);
+    } catch (error) {
+      // Fail open - allow the request if the store is unavailable
+      console.error('Leaky bucket store error:', error.message);
+      return next();
+    }
+    
+    // Add rate limit headers
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'leaky-bucket',
+      limit: config.capacity,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: (config.capacity / config.leakRate) * 1000,
+      cost,
+      now: clock()
+    });
+    
+    if (!result.allowed) {
+      res.setHeader('Retry-After', result.retryAfter);
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
+        algorithm: 'leaky-bucket',
+        limit: config.capacity,
+        cost,
+        retryAfter: result.retryAfter
+      });
+    }
+    
+    if (mode !== 'delay' || result.delayMs === 0) {
+      return next();
+    }
+    
+    // Hold the request until it reaches the front of the queue
+    res.setHeader('X-RateLimit-Delay', result.delayMs);
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = true;
+    });
+    setTimeout(() => {
+      if (!clientGone) next();
+    }, result.delayMs);
+  };
+}
+
+export async function getLeakyBucketStats(store = defaultStore, clock = Date.now) {
+  try {
+    const entries = await store.entries(KEY_PREFIX);
+    return entries.map(([key, state]) => {
+      const bucket = new LeakyBucket(state.capacity, state.leakRate, state, clock);
+      return {
+        ...parseClientKey(key.slice(KEY_PREFIX.length)),
+        ...bucket.getStatus()
+      };
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin: one client's state, or null if it has none
+export async function getLeakyBucketClient(clientId, store = defaultStore, clock = Date.now) {
+  const state = await store.get(KEY_PREFIX + clientId);
+  if (!state) return null;
+
+  const bucket = new LeakyBucket(state.capacity, state.leakRate, state, clock);
+  return { ...parseClientKey(clientId), ...bucket.getStatus() };
+}
+
+// Admin: forget a client, giving it a fresh full allowance
+export async function resetLeakyBucketClient(clientId, store = defaultStore) {
+  return store.delete(KEY_PREFIX + clientId);
+}
+
+// Admin: top up or drain a client to `remaining` requests
+export async function setLeakyBucketRemaining(clientId, remaining, store = defaultStore, clock = Date.now) {
+  // Through update() so a request consuming at the same time isn't lost
+  return store.update(KEY_PREFIX + clientId, (state) => {
+    if (!state) return { result: null };
+
+    const bucket = new LeakyBucket(state.capacity, state.leakRate, state, clock);
+    bucket.setRemaining(remaining);
+    return {
+      state: bucket.toJSON(),
+      ttlMs: Math.ceil((state.capacity / state.leakRate) * 1000),
+      result: { ...parseClientKey(clientId), ...bucket.getStatus() }
+    };
+  });
+}
@@ -0,0 +1,167 @@
+/**
+ * Limiters for non-HTTP traffic
+ *
+ * The middlewares only work in Express. These wrap the same algorithm
+ * classes and stores for anything else that has a key - WebSocket messages,
+ * SSE connections, queue jobs:
+ *
+ *   const messages = createLimiter('token-bucket', { capacity: 10, refillRate: 2 });
+ *   const { allowed, retryAfter } = await messages.consume(`ip:${ip}`);
+ *
+ * check(key) answers the same question without spending anything, for
+ * charging several limiters only when all of them have budget.
+ *
+ *   const connections = createConcurrencyLimiter(3);
+ *   const lease = await connections.acquire(`ip:${ip}`);
+ *   if (!lease.allowed) return reject();
+ *   socket.on('close', lease.release);
+ *
+ * Limits use the same parameter names as the middlewares and plans.js.
+ */
+
+import crypto from 'crypto';
+import { MemoryStore } from './stores/index.js';
+import { TokenBucket } from './tokenBucket.js';
+import { SlidingWindow } from './slidingWindow.js';
+import { FixedWindow } from './fixedWindow.js';
+import { SlidingWindowCounter } from './slidingWindowCounter.js';
+import { LeakyBucket } from './leakyBucket.js';
+import { Gcra } from './gcra.js';
+import { ConcurrencyLimit } from './concurrencyLimit.js';
+import { ALGORITHM_PARAMS, validateLimits } from './plans.js';
+import { costProblem, maxCost } from './cost.js';
+
+// How to build, charge and expire each algorithm (TTLs match the middlewares)
+const ALGORITHMS = {
+  'token-bucket': {
+    create: (l, state, clock) => new TokenBucket(l.capacity, l.refillRate, state, clock),
+    take: (limiter, cost) => limiter.consume(cost),
+    ttlMs: (l) => Math.ceil((l.capacity / l.refillRate) * 1000)
+  },
+  'sliding-window': {
+    create: (l, state, clock) => new SlidingWindow(l.maxRequests, l.windowMs, state, clock),
+    take: (limiter, cost) => limiter.allow(cost),
+    ttlMs: (l) => l.windowMs
+  },
+  'fixed-window': {
+    create: (l, state, clock) => new FixedWindow(l.maxRequests, l.windowMs, state, clock),
+    take: (limiter, cost) => limiter.allow(cost),
+    ttlMs: (l) => l.windowMs
+  },
+  'sliding-counter': {
+    create: (l, state, clock) => new SlidingWindowCounter(l.maxRequests, l.windowMs, state, clock),
+    take: (limiter, cost) => limiter.allow(cost),
+    ttlMs: (l) => l.windowMs * 2
+  },
+  'leaky-bucket': {
+    create: (l, state, clock) => new LeakyBucket(l.capacity, l.leakRate, state, clock),
+    take: (limiter, cost) => limiter.add(cost),
+    ttlMs: (l) => Math.ceil((l.capacity / l.leakRate) * 1000)
+  },
+  'gcra': {
+    create: (l, state, clock) => new Gcra(l.rate, l.periodMs, l.burst ?? l.rate, state, clock),
+    take: (limiter, cost) => limiter.allow(cost),
+    ttlMs: (l) => Math.ceil((l.periodMs / l.rate) * (l.burst ?? l.rate))
+  }
+};
+
+/**
+ * Rate limit anything by key.
+ * consume(key, cost) resolves to the algorithm's decision:
+ * { allowed, remaining, resetAt, retryAfter (seconds, when rejected) };
+ * check(key, cost) resolves to the decision consume would make, but saves nothing.
+ */
+export function createLimiter(algorithm, limits, { store = new MemoryStore(), clock = Date.now } = {}) {
+  const spec = ALGORITHMS[algorithm];
+  if (!spec) {
+    throw new Error(`Unknown algorithm '${algorithm}' (expected ${Object.keys(ALGORITHMS).join(', ')})`);
+  }
+  const errors = validateLimits({ [algorithm]: limits });
+  ALGORITHM_PARAMS[algorithm]
+    .filter(param => limits?.[param] === undefined && !(algorithm === 'gcra' && param === 'burst'))
+    .forEach(param => errors.push(`${algorithm}.${param}: is required`));
+  if (errors.length > 0) {
+    throw new Error(`Invalid limits: ${errors.join('; ')}`);
+  }
+
+  const keyPrefix = `${algorithm}:`;
+  const ttlMs = spec.ttlMs(limits);
+  const costLimit = maxCost(algorithm, limits);
+
+  return {
+    algorithm,
+    limits,
+
+    // Rejects (rather than returning a never-ending 429) for a cost that isn't
+    // a whole number or is more than the limit
+    async consume(key, cost = 1) {
+      const problem = costProblem(cost, costLimit);
+      if (problem) throw new Error(problem);
+
+      return store.update(keyPrefix + key, (state) => {
+        const limiter = spec.create(limits, state, clock);
+        return { result: spec.take(limiter, cost), state: limiter.toJSON() };
+      }, ttlMs);
+    },
+
+    // Not atomic with a later consume(): another caller may spend the budget
+    // in between, so treat a consume() rejection as final either way
+    async check(key, cost = 1) {
+      const problem = costProblem(cost, costLimit);
+      if (problem) throw new Error(problem);
+
+      const limiter = spec.create(limits, await store.get(keyPrefix + key), clock);
+      return spec.take(limiter, cost);
+    },
+
+    reset(key) {
+      return store.delete(keyPrefix + key);
+    }
+  };
+}
+
+/**
+ * Cap how many long-lived things (connections, streams) a key holds at once.
+ * acquire(key) resolves to { allowed, inFlight, remaining, release() };
+ * the lease is renewed in the background until release() is called.
+ */
+export function createConcurrencyLimiter(maxConcurrent, {
+  store = new MemoryStore(),
+  clock = Date.now,
+  leaseMs = 30000
+} = {}) {
+  const update = (key, change) => store.update(`concurrency:${key}`, (state) => {
+    const limit = new ConcurrencyLimit(maxConcurrent, state, clock);
+    return { result: change(limit), state: limit.toJSON() };
+  }, leaseMs);
+
+  return {
+    async acquire(key) {
+      const leaseId = crypto.randomUUID();
+      const result = await update(key, (limit) => limit.acquire(leaseId, leaseMs));
+      if (!result.allowed) return { ...result, release: () => {} };
+
+      // Keep the lease alive while the connection lasts
+      const renewal = setInterval(() => {
+        update(key, (limit) => limit.renew(leaseId, leaseMs))
+          .catch(error => console.error('Concurrency lease renewal error:', error.message));
+      }, leaseMs / 2);
+      renewal.unref();
+
+      let released = false;
+      const release = () => {
+        if (released) return Promise.resolve();
+        released = true;
+        clearInterval(renewal);
+        return update(key, (limit) => limit.release(leaseId))
+          .catch(error => console.error('Concurrency lease release error:', error.message));
+      };
+
+      return { ...result, release };
+    },
+
+    async inFlight(key) {
+      return update(key, (limit) => limit.getStatus().inFlight);
+    }
+  };
+}
@@ -0,0 +1,333 @@
+/**
+ * Load Test
+ *
+ * Fires traffic patterns at the demo endpoints and reports what each
+ * algorithm let through:
+ * - steady:       one client at a constant rate
+ * - bursty:       one client sending bursts with idle gaps in between
+ * - boundary:     one client filling its limit just before the limiter resets
+ *                 and again just after - the fixed window admits 2x its limit
+ *                 inside one window's length, the sliding window doesn't
+ * - many-clients: several clients at the same rate at once
+ *
+ * For each run: admitted / rejected counts, the most requests one client got
+ * through in any rolling window (vs the limit), and latency percentiles.
+ *
+ * Usage:
+ *   node loadtest.js [--url http://localhost:3001]
+ *                    [--endpoints fixed-window,sliding-window] [--patterns boundary]
+ *                    [--duration 10] [--rate 5] [--clients 10]
+ *                    [--burst 10] [--burst-interval 5] [--margin 250]
+ *                    [--admin-token secret] [--out report.json | report.csv]
+ *
+ * Every run uses fresh clients, so runs don't share limiter state. The server
+ * only trusts registered API keys, so each client is either:
+ * - an API key registered for the run through the admin API (with
+ *   --admin-token or ADMIN_TOKEN, and the default RATE_LIMIT_KEY=api-key),
+ *   revoked again at the end
+ * - otherwise an X-Forwarded-For address from the 198.18.0.0/15 benchmarking
+ *   range; start the server with TRUSTED_PROXIES=127.0.0.1,::1 so it's honored
+ * Also start it with RATE_LIMIT_BAN_THRESHOLD=0, or the repeated 429s get the
+ * load test banned.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+
+const ENDPOINTS = {
+  'token-bucket': '/api/token-bucket',
+  'sliding-window': '/api/sliding-window',
+  'fixed-window': '/api/fixed-window',
+  'sliding-counter': '/api/sliding-counter',
+  'leaky-bucket': '/api/leaky-bucket',
+  'gcra': '/api/gcra',
+  'concurrency': '/api/concurrency',
+  'distributed-redis': '/api/distributed',
+  'distributed-token-bucket': '/api/distributed/token-bucket',
+  'distributed-fixed-window': '/api/distributed/fixed-window'
+};
+
+// Distributed endpoints need Redis, so they're opt-in
+const DEFAULT_ENDPOINTS = ['token-bucket', 'sliding-window', 'fixed-window', 'sliding-counter', 'leaky-bucket', 'gcra'];
+const PATTERNS = ['steady', 'bursty', 'boundary', 'many-clients'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+
+const { values: args } = parseArgs({
+  options: {
+    url: { type: 'string', default: 'http://localhost:3001' },
+    endpoints: { type: 'string', default: DEFAULT_ENDPOINTS.join(',') },
+    patterns: { type: 'string', default: PATTERNS.join(',') },
+    duration: { type: 'string', default: '10' },
+    rate: { type: 'string', default: '5' },
+    clients: { type: 'string', default: '10' },
+    burst: { type: 'string', default: '10' },
+    'burst-interval': { type: 'string', default: '5' },
+    margin: { type: 'string', default: '250' },
+    'admin-token': { type: 'string' },
+    out: { type: 'string' }
+  }
+});
+
+const options = {
+  url: args.url.replace(/\/$/, ''),
+  endpoints: args.endpoints.split(',').map(name => name.trim()).filter(Boolean),
+  patterns: args.patterns.split(',').map(name => name.trim()).filter(Boolean),
+  durationMs: Number(args.duration) * 1000,
+  rate: Number(args.rate),
+  clients: Number(args.clients),
+  burst: Number(args.burst),
+  burstIntervalMs: Number(args['burst-interval']) * 1000,
+  marginMs: Number(args.margin),
+  adminToken: args['admin-token'] || process.env.ADMIN_TOKEN || null
+};
+
+const problems = [
+  ...options.endpoints.filter(name => !ENDPOINTS[name]).map(name => `unknown endpoint '${name}' (expected ${Object.keys(ENDPOINTS).join(', ')})`),
+  ...options.patterns.filter(name => !PATTERNS.includes(name)).map(name => `unknown pattern '${name}' (expected ${PATTERNS.join(', ')})`),
+  ...['durationMs', 'rate', 'clients', 'burst', 'burstIntervalMs']
+    .filter(name => !(options[name] > 0))
+    .map(name => `${name} must be a positive number`)
+];
+if (problems.length > 0) {
+  console.error(problems.join('\n'));
+  process.exit(1);
+}
+
+const runId = Date.now().toString(36);
+
+// Request headers that make the server count a request against each client
+const identities = new Map();
+const issuedKeys = [];
+let nextAddress = Math.floor(Math.random() * 0x10000);
+
+async function admin(method, path, body) {
+  const res = await fetch(`${options.url}/api/admin${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${options.adminToken}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!res.ok) throw new Error(`${method} /api/admin${path} failed: ${res.status} ${await res.text()}`);
+  return res.status === 204 ? null : res.json();
+}
+
+// Give each client its own identity before its traffic starts, so
+// registering keys doesn't count towards request latency
+async function identify(clients) {
+  await Promise.all(clients.filter(client => !identities.has(client)).map(async (client) => {
+    if (options.adminToken) {
+      const { key } = await admin('POST', '/keys', { name: client });
+      issuedKeys.push(key);
+      identities.set(client, { 'X-API-Key': key });
+    } else {
+      const n = nextAddress++ % 0x20000;
+      identities.set(client, { 'X-Forwarded-For': `198.${18 + (n >> 16)}.${(n >> 8) & 255}.${n & 255}` });
+    }
+  }));
+}
+
+// One request; never throws so a failed request is just another result
+async function send(endpoint, client) {
+  const sentAt = Date.now();
+  try {
+    const res = await fetch(options.url + ENDPOINTS[endpoint], {
+      headers: identities.get(client),
+      signal: AbortSignal.timeout(30000)
+    });
+    await res.arrayBuffer();
+    return { client, sentAt, doneAt: Date.now(), status: res.status, headers: res.headers };
+  } catch (error) {
+    return { client, sentAt, doneAt: Date.now(), status: 0, error: error.message };
+  }
+}
+
+// Send requests at a fixed rate from one client for durationMs, without waiting for responses
+async function stream(endpoint, client, ratePerSecond, durationMs, pending) {
+  const interval = 1000 / ratePerSecond;
+  const start = Date.now();
+  for (let i = 0; i * interval < durationMs; i++) {
+    await sleep(start + i * interval - Date.now());
+    pending.push(send(endpoint, client));
+  }
+}
+
+const TRAFFIC = {
+  async steady(endpoint, clientId, pending) {
+    await stream(endpoint, clientId(0), options.rate, options.durationMs, pending);
+  },
+
+  async bursty(endpoint, clientId, pending) {
+    const start = Date.now();
+    for (let i = 0; i * options.burstIntervalMs < options.durationMs; i++) {
+      await sleep(start + i * options.burstIntervalMs - Date.now());
+      for (let j = 0; j < options.burst; j++) pending.push(send(endpoint, clientId(0)));
+    }
+  },
+
+  // A probe request tells us the limit and when the limiter next resets
+  async boundary(endpoint, clientId, pending) {
+    const probe = await send(endpoint, clientId(0));
+    pending.push(Promise.resolve(probe));
+
+    const limit = Number(probe.headers?.get('X-RateLimit-Limit'));
+    const resetAt = Date.parse(probe.headers?.get('X-RateLimit-Reset'));
+    if (!limit || !resetAt) {
+      console.warn(`   ${endpoint}: no X-RateLimit-Limit/Reset headers, skipping boundary test`);
+      return;
+    }
+
+    // Fill the limit just before the reset, then again just after it
+    await sleep(resetAt - options.marginMs - Date.now());
+    for (let i = 0; i < limit; i++) pending.push(send(endpoint, clientId(0)));
+    await sleep(resetAt + options.marginMs - Date.now());
+    for (let i = 0; i < limit; i++) pending.push(send(endpoint, clientId(0)));
+  },
+
+  async ['many-clients'](endpoint, clientId, pending) {
+    await Promise.all(
+      Array.from({ length: options.clients }, (_, i) =>
+        // Stagger the starts so clients don't all fire on the same tick
+        sleep((i * 1000) / options.rate / options.clients)
+          .then(() => stream(endpoint, clientId(i), options.rate, options.durationMs, pending))
+      )
+    );
+  }
+};
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Most admitted requests for one client within any windowMs span
+function maxInWindow(results, windowMs) {
+  const byClient = new Map();
+  results
+    .filter(result => result.status >= 200 && result.status < 300)
+    .forEach(result => {
+      if (!byClient.has(result.client)) byClient.set(result.client, []);
+      byClient.get(result.client).push(result.doneAt);
+    });
+
+  let max = 0;
+  for (const times of byClient.values()) {
+    times.sort((a, b) => a - b);
+    let first = 0;
+    for (let last = 0; last < times.length; last++) {
+      while (times[last] - times[first] >= windowMs) first++;
+      max = Math.max(max, last - first + 1);
+    }
+  }
+  return max;
+}
+
+// "RateLimit-Policy: 6;w=20" -> { limit: 6, windowMs: 20000 }
+function policyOf(results) {
+  const headers = results.find(result => result.headers?.get('RateLimit-Policy'))?.headers;
+  if (!headers) return { limit: null, windowMs: null };
+
+  const [limit, window] = headers.get('RateLimit-Policy').split(';');
+  return { limit: Number(limit), windowMs: Number(window.split('=')[1]) * 1000 };
+}
+
+async function run(endpoint, pattern) {
+  const pending = [];
+  const clientId = (i) => `loadtest-${runId}-${endpoint}-${pattern}-${i}`;
+  await identify(Array.from({ length: pattern === 'many-clients' ? options.clients : 1 }, (_, i) => clientId(i)));
+  const start = Date.now();
+
+  await TRAFFIC[pattern](endpoint, clientId, pending);
+  const results = await Promise.all(pending);
+
+  const latencies = results.map(result => result.doneAt - result.sentAt).sort((a, b) => a - b);
+  const { limit, windowMs } = policyOf(results);
+  const count = (test) => results.filter(result => test(result.status)).length;
+  const maxAdmitted = windowMs ? maxInWindow(results, windowMs) : null;
+
+  return {
+    endpoint,
+    pattern,
+    durationMs: Date.now() - start,
+    sent: results.length,
+    admitted: count(status => status >= 200 && status < 300),
+    rejected: count(status => status === 429),
+    blocked: count(status => status === 403),
+    unavailable: count(status => status === 503),
+    failed: count(status => status === 0 || (status >= 500 && status !== 503)),
+    limit,
+    windowMs,
+    maxAdmittedInWindow: maxAdmitted,
+    // > 1 means a client got more than the limit through within one window
+    limitRatio: maxAdmitted && limit ? Number((maxAdmitted / limit).toFixed(2)) : null,
+    latencyMs: {
+      p50: percentile(latencies, 50),
+      p90: percentile(latencies, 90),
+      p99: percentile(latencies, 99),
+      max: latencies[latencies.length - 1] ?? null
+    }
+  };
+}
+
+function toCsv(rows) {
+  const columns = [
+    'endpoint', 'pattern', 'durationMs', 'sent', 'admitted', 'rejected', 'blocked', 'unavailable', 'failed',
+    'limit', 'windowMs', 'maxAdmittedInWindow', 'limitRatio', 'p50', 'p90', 'p99', 'max'
+  ];
+  const lines = rows.map(row => {
+    const flat = { ...row, ...row.latencyMs };
+    return columns.map(column => flat[column] ?? '').join(',');
+  });
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+async function main() {
+  console.log(`Load testing ${options.url}: ${options.patterns.join(', ')} x ${options.endpoints.join(', ')}\n`);
+
+  const rows = [];
+  try {
+    for (const endpoint of options.endpoints) {
+      for (const pattern of options.patterns) {
+        console.log(`▶ ${endpoint} / ${pattern}`);
+        rows.push(await run(endpoint, pattern));
+      }
+    }
+  } finally {
+    await Promise.all(issuedKeys.map(key => admin('DELETE', `/keys/${encodeURIComponent(key)}`)
+      .catch(error => console.warn(`Could not revoke load test key: ${error.message}`))));
+  }
+
+  console.table(rows.map(({ latencyMs, ...row }) => ({
+    endpoint: row.endpoint,
+    pattern: row.pattern,
+    sent: row.sent,
+    admitted: row.admitted,
+    rejected: row.rejected,
+    'max/window': row.maxAdmittedInWindow === null ? '-' : `${row.maxAdmittedInWindow}/${row.limit}`,
+    'p50 ms': latencyMs.p50,
+    'p99 ms': latencyMs.p99
+  })));
+
+  rows
+    .filter(row => row.pattern === 'boundary' && row.limitRatio > 1)
+    .forEach(row => console.log(
+      `⚠️  ${row.endpoint}: ${row.maxAdmittedInWindow} requests admitted within ${row.windowMs / 1000}s ` +
+      `(${row.limitRatio}x the limit of ${row.limit}) across a limiter reset`
+    ));
+  if (rows.some(row => row.blocked > 0)) {
+    console.log('⚠️  Some requests got 403 - restart the server with RATE_LIMIT_BAN_THRESHOLD=0');
+  }
+
+  if (args.out) {
+    const report = args.out.endsWith('.csv')
+      ? toCsv(rows)
+      : JSON.stringify({ generatedAt: new Date().toISOString(), options, results: rows }, null, 2);
+    fs.writeFileSync(args.out, report);
+    console.log(`\nReport written to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+/**
+ * Quota Plans
+ *
+ * - Each plan (free/pro/enterprise) sets limits per algorithm
+ * - API keys are assigned to a plan
+ * - Middlewares resolve the caller's plan on every request via
+ *   { limits: planLimits('<algorithm>') }, so changes apply immediately
+ * - Requests without a known API key get the free plan
+ *
+ * Plans and keys live in memory; restart resets them to the defaults.
+ */
+
+import crypto from 'crypto';
+import { parseClientKey } from './keyGenerators.js';
+
+const DEFAULT_PLAN = 'free';
+
+// Limit parameters each algorithm accepts (same names as the middleware arguments)
+export const ALGORITHM_PARAMS = {
+  'token-bucket': ['capacity', 'refillRate'],
+  'sliding-window': ['maxRequests', 'windowMs'],
+  'fixed-window': ['maxRequests', 'windowMs'],
+  'sliding-counter': ['maxRequests', 'windowMs'],
+  'leaky-bucket': ['capacity', 'leakRate'],
+  'gcra': ['rate', 'periodMs', 'burst'],
+  'distributed-redis': ['maxRequests', 'windowMs'],
+  'distributed-token-bucket': ['capacity', 'refillRate'],
+  'distributed-fixed-window': ['maxRequests', 'windowMs'],
+  'concurrency': ['maxConcurrent']
+};
+
+// Free matches the demo limits; paid plans scale them up
+const plans = new Map([
+  ['free', {
+    'token-bucket': { capacity: 5, refillRate: 1 },
+    'sliding-window': { maxRequests: 8, windowMs: 30000 },
+    'fixed-window': { maxRequests: 6, windowMs: 20000 },
+    'sliding-counter': { maxRequests: 8, windowMs: 30000 },
+    'leaky-bucket': { capacity: 5, leakRate: 1 },
+    'gcra': { rate: 6, periodMs: 30000, burst: 3 },
+    'distributed-redis': { maxRequests: 10, windowMs: 60000 },
+    'distributed-token-bucket': { capacity: 5, refillRate: 1 },
+    'distributed-fixed-window': { maxRequests: 6, windowMs: 20000 },
+    'concurrency': { maxConcurrent: 2 }
+  }],
+  ['pro', {
+    'token-bucket': { capacity: 25, refillRate: 5 },
+    'sliding-window': { maxRequests: 40, windowMs: 30000 },
+    'fixed-window': { maxRequests: 30, windowMs: 20000 },
+    'sliding-counter': { maxRequests: 40, windowMs: 30000 },
+    'leaky-bucket': { capacity: 25, leakRate: 5 },
+    'gcra': { rate: 30, periodMs: 30000, burst: 10 },
+    'distributed-redis': { maxRequests: 50, windowMs: 60000 },
+    'distributed-token-bucket': { capacity: 25, refillRate: 5 },
+    'distributed-fixed-window': { maxRequests: 30, windowMs: 20000 },
+    'concurrency': { maxConcurrent: 5 }
+  }],
+  ['enterprise', {
+    'token-bucket': { capacity: 100, refillRate: 20 },
+    'sliding-window': { maxRequests: 200, windowMs: 30000 },
+    'fixed-window': { maxRequests: 150, windowMs: 20000 },
+    'sliding-counter': { maxRequests: 200, windowMs: 30000 },
+    'leaky-bucket': { capacity: 100, leakRate: 20 },
+    'gcra': { rate: 150, periodMs: 30000, burst: 50 },
+    'distributed-redis': { maxRequests: 250, windowMs: 60000 },
+    'distributed-token-bucket': { capacity: 100, refillRate: 20 },
+    'distributed-fixed-window': { maxRequests: 150, windowMs: 20000 },
+    'concurrency': { maxConcurrent: 20 }
+  }]
+]);
+
+// API key -> { key, name, plan, createdAt }
+const apiKeys = new Map();
+
+// Returns a list of problems (empty when valid) so callers can report every field at once
+export function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return ['limits must be an object keyed by algorithm'];
+  }
+
+  const errors = [];
+  Object.entries(limits).forEach(([algorithm, values]) => {
+    const params = ALGORITHM_PARAMS[algorithm];
+    if (!params) {
+      errors.push(`${algorithm}: unknown algorithm`);
+      return;
+    }
+    if (!values || typeof values !== 'object') {
+      errors.push(`${algorithm}: must be an object`);
+      return;
+    }
+    Object.entries(values).forEach(([param, value]) => {
+      if (!params.includes(param)) {
+        errors.push(`${algorithm}.${param}: unknown parameter (expected ${params.join(', ')})`);
+      } else if (typeof value !== 'number' || !(value > 0)) {
+        errors.push(`${algorithm}.${param}: must be a positive number`);
+      }
+    });
+  });
+  return errors;
+}
+
+export function getPlans() {
+  return Object.fromEntries(plans);
+}
+
+export function getPlan(name) {
+  return plans.get(name) || null;
+}
+
+// Create or replace a plan (limits must already be validated)
+export function setPlan(name, limits) {
+  plans.set(name, limits);
+  return limits;
+}
+
+// Merge new values into one algorithm's limits for a plan
+export function updatePlanLimits(name, algorithm, values) {
+  const plan = plans.get(name);
+  if (!plan) return null;
+
+  plan[algorithm] = { ...plan[algorithm], ...values };
+  return plan[algorithm];
+}
+
+export function isPlanInUse(name) {
+  return name === DEFAULT_PLAN || [...apiKeys.values()].some(record => record.plan === name);
+}
+
+export function deletePlan(name) {
+  return plans.delete(name);
+}
+
+export function createApiKey({ plan = DEFAULT_PLAN, name = '' } = {}) {
+  const record = {
+    key: `rl_${crypto.randomBytes(16).toString('hex')}`,
+    name,
+    plan,
+    createdAt: new Date().toISOString()
+  };
+  apiKeys.set(record.key, record);
+  return record;
+}
+
+export function listApiKeys() {
+  return [...apiKeys.values()];
+}
+
+export function getApiKey(key) {
+  return apiKeys.get(key) || null;
+}
+
+export function assignPlan(key, plan) {
+  const record = apiKeys.get(key);
+  if (!record) return null;
+
+  record.plan = plan;
+  return record;
+}
+
+export function revokeApiKey(key) {
+  return apiKeys.delete(key);
+}
+
+export function planForRequest(req, header = 'x-api-key') {
+  const record = apiKeys.get(req.headers[header]);
+  return record ? record.plan : DEFAULT_PLAN;
+}
+
+// Middleware `limits` option: the caller's plan limits for one algorithm
+export function planLimits(algorithm, { header = 'x-api-key' } = {}) {
+  return (req) => {
+    const plan = plans.get(planForRequest(req, header));
+    return (plan && plan[algorithm]) || {};
+  };
+}
+
+// A client key's limits for one algorithm (for state that doesn't store its
+// limits, e.g. Redis): "api-key:<key>" uses that key's plan, anyone else the default
+export function planLimitsForClient(algorithm, client) {
+  const { strategy, clientId } = parseClientKey(client);
+  const record = strategy === 'api-key' ? apiKeys.get(clientId) : null;
+  const plan = plans.get(record ? record.plan : DEFAULT_PLAN);
+  return (plan && plan[algorithm]) || {};
+}
@@ -0,0 +1,322 @@
+/**
+ * Rate Limit Rules
+ *
+ * Declarative limits loaded from a JSON file instead of code:
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "name": "report-exports",
+ *         "route": "/api/reports/:id/export",
+ *         "methods": ["POST"],
+ *         "algorithm": "concurrency",
+ *         "limits": { "maxConcurrent": 1 },
+ *         "keyStrategy": "api-key",
+ *         "cost": 1,
+ *         "options": { "maxQueue": 1 }
+ *       }
+ *     ]
+ *   }
+ *
+ * - route: exact path, ":param" matches one segment, "*" matches the rest
+ * - methods: optional, every method when omitted
+ * - options: only the ones the algorithm takes from a file (see RULE_OPTIONS)
+ * - Every matching rule applies, in file order
+ * - The file is watched; a changed file is validated first and, if invalid,
+ *   rejected with the list of problems while the previous rules stay active
+ * - Each rule keeps its own per-client state, so two rules using the same
+ *   algorithm never share a budget
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { tokenBucketMiddleware } from './tokenBucket.js';
+import { slidingWindowMiddleware } from './slidingWindow.js';
+import { fixedWindowMiddleware } from './fixedWindow.js';
+import { slidingWindowCounterMiddleware } from './slidingWindowCounter.js';
+import { leakyBucketMiddleware } from './leakyBucket.js';
+import { gcraMiddleware } from './gcra.js';
+import { concurrencyLimitMiddleware } from './concurrencyLimit.js';
+import { distributedRedisMiddleware } from './distributedRedis.js';
+import { distributedTokenBucketMiddleware } from './distributedTokenBucket.js';
+import { distributedFixedWindowMiddleware } from './distributedFixedWindow.js';
+import { ALGORITHM_PARAMS, validateLimits } from './plans.js';
+import { createKeyGenerator } from './keyGenerators.js';
+import { costProblem, maxCost } from './cost.js';
+import { HEADER_FORMATS } from './headers.js';
+import { FAILURE_POLICIES } from './failurePolicy.js';
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Build a limiter from a rule's limits (named like the middleware arguments)
+const LIMITERS = {
+  'token-bucket': (l, options) => tokenBucketMiddleware(l.capacity, l.refillRate, options),
+  'sliding-window': (l, options) => slidingWindowMiddleware(l.maxRequests, l.windowMs, options),
+  'fixed-window': (l, options) => fixedWindowMiddleware(l.maxRequests, l.windowMs, options),
+  'sliding-counter': (l, options) => slidingWindowCounterMiddleware(l.maxRequests, l.windowMs, options),
+  'leaky-bucket': (l, options) => leakyBucketMiddleware(l.capacity, l.leakRate, options),
+  'gcra': (l, options) => gcraMiddleware(l.rate, l.periodMs, { ...options, ...(l.burst && { burst: l.burst }) }),
+  'concurrency': (l, options) => concurrencyLimitMiddleware(l.maxConcurrent, options),
+  'distributed-redis': (l, options) => distributedRedisMiddleware(l.maxRequests, l.windowMs, options),
+  'distributed-token-bucket': (l, options) => distributedTokenBucketMiddleware(l.capacity, l.refillRate, options),
+  'distributed-fixed-window': (l, options) => distributedFixedWindowMiddleware(l.maxRequests, l.windowMs, options)
+};
+
+// Parameters a rule may leave out
+const OPTIONAL_PARAMS = { 'gcra': ['burst'] };
+
+// Checks for option values; each returns a problem or null
+const oneOf = (values) => (value) => (values.includes(value) ? null : `must be one of ${values.join(', ')}`);
+const numberFrom = (min, { integer = false } = {}) => (value) => {
+  const valid = typeof value === 'number' && (integer ? Number.isInteger(value) : Number.isFinite(value));
+  return valid && value >= min ? null : `must be ${integer ? 'an integer' : 'a number'} >= ${min}`;
+};
+
+const HEADER_OPTIONS = { headers: oneOf(HEADER_FORMATS) };
+const DISTRIBUTED_OPTIONS = {
+  ...HEADER_OPTIONS,
+  failurePolicy: oneOf(FAILURE_POLICIES),
+  instances: numberFrom(1, { integer: true })
+};
+
+// Options a rule may set, per algorithm. The rest of a middleware's options
+// (store, clock, keyGenerator, limits, cost) are set by the engine or the rule itself.
+const RULE_OPTIONS = {
+  'token-bucket': HEADER_OPTIONS,
+  'sliding-window': HEADER_OPTIONS,
+  'fixed-window': HEADER_OPTIONS,
+  'sliding-counter': HEADER_OPTIONS,
+  'leaky-bucket': { ...HEADER_OPTIONS, mode: oneOf(['reject', 'delay']) },
+  'gcra': HEADER_OPTIONS,
+  'concurrency': {
+    leaseMs: numberFrom(1),
+    maxQueue: numberFrom(0, { integer: true }),
+    queueTimeoutMs: numberFrom(0),
+    pollMs: numberFrom(1)
+  },
+  'distributed-redis': DISTRIBUTED_OPTIONS,
+  'distributed-token-bucket': DISTRIBUTED_OPTIONS,
+  'distributed-fixed-window': DISTRIBUTED_OPTIONS
+};
+
+// "/api/reports/:id/export" -> /^\/api\/reports\/[^/]+\/export\/?$/
+function routePattern(route) {
+  const source = route
+    .split('/')
+    .map(segment => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+// Returns a list of problems (empty when valid), naming the rule each one belongs to
+export function validateRules(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.rules)) {
+    return ['file must be an object with a "rules" array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  config.rules.forEach((rule, index) => {
+    const label = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (rule.name !== undefined) {
+      if (typeof rule.name !== 'string' || !rule.name) errors.push(`${label}.name: must be a non-empty string`);
+      else if (names.has(rule.name)) errors.push(`${label}.name: duplicate rule name`);
+      names.add(rule.name);
+    }
+
+    if (typeof rule.route !== 'string' || !rule.route.startsWith('/')) {
+      errors.push(`${label}.route: must be a path starting with "/"`);
+    }
+
+    if (rule.methods !== undefined) {
+      if (!Array.isArray(rule.methods) || rule.methods.length === 0) {
+        errors.push(`${label}.methods: must be a non-empty array`);
+      } else {
+        rule.methods
+          .filter(method => !METHODS.includes(String(method).toUpperCase()))
+          .forEach(method => errors.push(`${label}.methods: unknown method ${method}`));
+      }
+    }
+
+    const params = ALGORITHM_PARAMS[rule.algorithm];
+    if (!params) {
+      errors.push(`${label}.algorithm: must be one of ${Object.keys(LIMITERS).join(', ')}`);
+    } else {
+      validateLimits({ [rule.algorithm]: rule.limits })
+        .forEach(error => errors.push(`${label}.limits: ${error}`));
+      const optional = OPTIONAL_PARAMS[rule.algorithm] || [];
+      params
+        .filter(param => !optional.includes(param) && rule.limits?.[param] === undefined)
+        .forEach(param => errors.push(`${label}.limits: ${rule.algorithm}.${param} is required`));
+    }
+
+    if (rule.keyStrategy !== undefined) {
+      try {
+        createKeyGenerator(rule.keyStrategy);
+      } catch (error) {
+        errors.push(`${label}.keyStrategy: ${error.message}`);
+      }
+    }
+
+    if (rule.cost !== undefined) {
+      // A cost above the rule's own limit could never be admitted
+      const problem = costProblem(rule.cost, maxCost(rule.algorithm, rule.limits || {}) ?? Infinity);
+      if (problem) errors.push(`${label}.cost: ${problem}`);
+    }
+
+    if (rule.options !== undefined) {
+      if (!rule.options || typeof rule.options !== 'object' || Array.isArray(rule.options)) {
+        errors.push(`${label}.options: must be an object`);
+      } else if (params) {
+        const allowed = RULE_OPTIONS[rule.algorithm];
+        Object.entries(rule.options).forEach(([name, value]) => {
+          if (!Object.hasOwn(allowed, name)) {
+            const names = Object.keys(allowed).join(', ');
+            errors.push(`${label}.options.${name}: not an option of ${rule.algorithm} (allowed: ${names})`);
+            return;
+          }
+          const problem = allowed[name](value);
+          if (problem) errors.push(`${label}.options.${name}: ${problem}`);
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Read and validate a rules file; throws with every problem listed
+export function loadRules(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid rules file ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateRules(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config.rules.map((rule, index) => ({ ...rule, name: rule.name || `rule-${index + 1}` }));
+}
+
+/**
+ * options:
+ * - filePath:       rules file to load and watch
+ * - storeFor:       (algorithm) => store for the in-process algorithms
+ * - keyGenerator:   used when a rule has no keyStrategy
+ * - keyOptions:     options for createKeyGenerator (e.g. trustedProxies)
+ * - limiterOptions: extra options for every limiter (headers, failurePolicy, ...)
+ * - wrap:           (middleware, rule) => middleware, e.g. for metrics
+ */
+export function createRulesEngine({
+  filePath,
+  storeFor,
+  keyGenerator,
+  keyOptions = {},
+  limiterOptions = {},
+  wrap = (middleware) => middleware,
+  watch = true
+}) {
+  let active = [];
+  let status = { filePath, loadedAt: null, lastError: null };
+  let watcher = null;
+  let reloadTimer = null;
+
+  function build(rule) {
+    const baseKey = rule.keyStrategy ? createKeyGenerator(rule.keyStrategy, keyOptions) : keyGenerator;
+    const options = {
+      ...limiterOptions,
+      ...rule.options,
+      // Scope client keys to the rule so rules never share state
+      keyGenerator: (req) => {
+        const { strategy, id } = baseKey(req);
+        return { strategy, id: `${rule.name}|${id}` };
+      }
+    };
+    if (rule.cost !== undefined) options.cost = rule.cost;
+    if (!rule.algorithm.startsWith('distributed')) options.store = storeFor(rule.algorithm);
+
+    const limiter = LIMITERS[rule.algorithm](rule.limits, options);
+    return {
+      rule,
+      pattern: routePattern(rule.route),
+      methods: rule.methods && rule.methods.map(method => method.toUpperCase()),
+      middleware: wrap(limiter, rule),
+      // Distributed limiters own an in-memory store for their 'local' failure policy
+      close: () => limiter.close?.()
+    };
+  }
+
+  function reload() {
+    try {
+      const rules = loadRules(filePath);
+      const previous = active;
+      active = rules.map(build);
+      // Requests already running keep their limiter; it just stops sweeping
+      previous.forEach(entry => entry.close());
+      status = { filePath, loadedAt: new Date().toISOString(), lastError: null };
+      console.log(`📜 Loaded ${active.length} rate limit rule(s) from ${filePath}`);
+      return true;
+    } catch (error) {
+      status = { ...status, lastError: error.message };
+      console.error(`${error.message}\nKeeping the previous rules.`);
+      return false;
+    }
+  }
+
+  function startWatching() {
+    // Watch the directory: editors often replace the file instead of writing in place
+    watcher = fs.watch(path.dirname(filePath), (event, filename) => {
+      if (filename !== path.basename(filePath)) return;
+      // Editors fire several events per save; reload once they settle
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        if (fs.existsSync(filePath)) reload();
+      }, 100);
+    });
+    watcher.unref();
+  }
+
+  // Run every rule matching this request, in order, until one responds
+  function middleware(req, res, next) {
+    const matching = active.filter(({ pattern, methods }) =>
+      pattern.test(req.path) && (!methods || methods.includes(req.method))
+    );
+
+    const run = (index, err) => {
+      if (err || index === matching.length) return next(err);
+      matching[index].middleware(req, res, (error) => run(index + 1, error));
+    };
+    run(0);
+  }
+
+  // Invalid rules at startup are fatal: there is nothing to fall back to
+  active = loadRules(filePath).map(build);
+  status.loadedAt = new Date().toISOString();
+  if (watch) startWatching();
+
+  return {
+    middleware,
+    reload,
+    getRules: () => active.map(({ rule }) => rule),
+    getStatus: () => ({ ...status, rules: active.length }),
+    close: () => {
+      if (watcher) watcher.close();
+      clearTimeout(reloadTimer);
+      active.forEach(entry => entry.close());
+    }
+  };
+}
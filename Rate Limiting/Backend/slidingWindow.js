@@ -10,80 +10,151 @@
  * Best for: Precise rate limiting without edge case issues
  */
 
-class SlidingWindow {
-  constructor(maxRequests, windowMs) {
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+
+export class SlidingWindow {
+  // state is the plain object previously saved in the store (null for a new client)
+  constructor(maxRequests, windowMs, state = null, clock = Date.now) {
+    this.clock = clock; // () => current time in ms
     this.maxRequests = maxRequests;
     this.windowMs = windowMs;
-    this.requests = []; // Array of timestamps
+    // Array of { timestamp, cost } (older saved state holds bare timestamps)
+    this.requests = state
+      ? state.requests.map(request => typeof request === 'number' ? { timestamp: request, cost: 1 } : request)
+      : [];
   }
 
   // Remove old requests outside the window
   cleanup() {
-    const now = Date.now();
+    const now = this.clock();
     const cutoff = now - this.windowMs;
-    this.requests = this.requests.filter(timestamp => timestamp > cutoff);
+    this.requests = this.requests.filter(request => request.timestamp > cutoff);
+  }
+
+  // Total weight of the requests in the window
+  used() {
+    return this.requests.reduce((sum, request) => sum + request.cost, 0);
   }
 
-  // Try to allow a request
-  allow() {
+  // Try to allow a request that costs `cost` units
+  allow(cost = 1) {
     this.cleanup();
-    const now = Date.now();
+    const now = this.clock();
+    const used = this.used();
     
-    if (this.requests.length < this.maxRequests) {
-      this.requests.push(now);
+    if (used + cost <= this.maxRequests) {
+      this.requests.push({ timestamp: now, cost });
       return {
         allowed: true,
-        remaining: this.maxRequests - this.requests.length,
-        resetAt: this.requests[0] ? this.requests[0] + this.windowMs : now + this.windowMs
+        remaining: this.maxRequests - used - cost,
+        resetAt: this.requests[0].timestamp + this.windowMs
       };
     }
     
-    // Calculate retry time (when oldest request expires)
-    const oldestRequest = this.requests[0];
-    const retryAfter = Math.ceil((oldestRequest + this.windowMs - now) / 1000);
+    // Calculate retry time (when enough of the oldest requests expire to fit this one)
+    let retryAt = now + this.windowMs;
+    let freed = 0;
+    for (const request of this.requests) {
+      freed += request.cost;
+      if (used - freed + cost <= this.maxRequests) {
+        retryAt = request.timestamp + this.windowMs;
+        break;
+      }
+    }
     
     return {
       allowed: false,
-      remaining: 0,
-      resetAt: oldestRequest + this.windowMs,
-      retryAfter
+      remaining: Math.max(0, this.maxRequests - used),
+      resetAt: this.requests[0] ? this.requests[0].timestamp + this.windowMs : now + this.windowMs,
+      retryAfter: Math.max(1, Math.ceil((retryAt - now) / 1000))
     };
   }
 
   getStatus() {
     this.cleanup();
-    const now = Date.now();
-    const resetAt = this.requests[0] ? this.requests[0] + this.windowMs : now + this.windowMs;
+    const now = this.clock();
+    const resetAt = this.requests[0] ? this.requests[0].timestamp + this.windowMs : now + this.windowMs;
     
     return {
-      current: this.requests.length,
+      current: this.used(),
+      requests: this.requests.length,
       max: this.maxRequests,
       windowMs: this.windowMs,
       resetAt,
       resetIn: Math.max(0, Math.ceil((resetAt - now) / 1000))
     };
   }
+
+  // Admin top-up (or drain): forget the oldest requests, or record a
+  // placeholder one, so that exactly `remaining` units are left
+  setRemaining(remaining) {
+    this.cleanup();
+    const target = this.maxRequests - Math.min(this.maxRequests, Math.max(0, remaining));
+    
+    while (this.requests.length > 0 && this.used() > target) {
+      this.requests.shift();
+    }
+    if (this.used() < target) {
+      this.requests.push({ timestamp: this.clock(), cost: target - this.used() });
+    }
+  }
+
+  // Plain object saved in the store between requests
+  toJSON() {
+    return {
+      maxRequests: this.maxRequests,
+      windowMs: this.windowMs,
+      requests: this.requests
+    };
+  }
 }
 
-// In-memory store for multiple clients
-const windows = new Map();
+// Default store (in-memory); pass { store } to share state across servers
+const defaultStore = new MemoryStore();
+const KEY_PREFIX = 'sliding-window:';
+
+export function slidingWindowMiddleware(maxRequests = 10, windowMs = 60000, {
+  store = defaultStore,
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  cost: requestCost = 1,
+  // () => current time in ms; pass a fake clock to test without sleeping
+  clock = Date.now
+} = {}) {
+  return async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { maxRequests, windowMs, ...limits(req) };
 
-export function slidingWindowMiddleware(maxRequests = 10, windowMs = 60000) {
-  return (req, res, next) => {
-    const clientId = req.ip || 'unknown';
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'sliding-window', cost, limit: config.maxRequests })) return;
     
-    if (!windows.has(clientId)) {
-      windows.set(clientId, new SlidingWindow(maxRequests, windowMs));
+    let result;
+    try {
+      result = await store.update(KEY_PREFIX + clientId, (state) => {
+        const window = new SlidingWindow(config.maxRequests, config.windowMs, state, clock);
+        return { result: window.allow(cost), state: window.toJSON() };
+      }, config.windowMs);
+    } catch (error) {
+      // Fail open - allow the request if the store is unavailable
+      console.error('Sliding window store error:', error.message);
+      return next();
     }
     
-    const window = windows.get(clientId);
-    const result = window.allow();
-    
     // Add rate limit headers
-    res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', result.remaining);
-    res.setHeader('X-RateLimit-Reset', new Date(result.resetAt).toISOString());
-    res.setHeader('X-RateLimit-Algorithm', 'sliding-window');
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'sliding-window',
+      limit: config.maxRequests,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: config.windowMs,
+      cost,
+      now: clock()
+    });
     
     if (!result.allowed) {
       res.setHeader('Retry-After', result.retryAfter);
@@ -91,8 +162,9 @@ export function slidingWindowMiddleware(maxRequests = 10, windowMs = 60000) {
         error: 'Too Many Requests',
         message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
         algorithm: 'sliding-window',
-        limit: maxRequests,
-        windowMs,
+        limit: config.maxRequests,
+        windowMs: config.windowMs,
+        cost,
         retryAfter: result.retryAfter,
         resetAt: new Date(result.resetAt).toISOString()
       });
@@ -102,13 +174,47 @@ export function slidingWindowMiddleware(maxRequests = 10, windowMs = 60000) {
   };
 }
 
-export function getSlidingWindowStats() {
-  const stats = [];
-  windows.forEach((window, clientId) => {
-    stats.push({
-      clientId,
-      ...window.getStatus()
+export async function getSlidingWindowStats(store = defaultStore, clock = Date.now) {
+  try {
+    const entries = await store.entries(KEY_PREFIX);
+    return entries.map(([key, state]) => {
+      const window = new SlidingWindow(state.maxRequests, state.windowMs, state, clock);
+      return {
+        ...parseClientKey(key.slice(KEY_PREFIX.length)),
+        ...window.getStatus()
+      };
     });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin: one client's state, or null if it has none
+export async function getSlidingWindowClient(clientId, store = defaultStore, clock = Date.now) {
+  const state = await store.get(KEY_PREFIX + clientId);
+  if (!state) return null;
+
+  const window = new SlidingWindow(state.maxRequests, state.windowMs, state, clock);
+  return { ...parseClientKey(clientId), ...window.getStatus() };
+}
+
+// Admin: forget a client, giving it a fresh full allowance
+export async function resetSlidingWindowClient(clientId, store = defaultStore) {
+  return store.delete(KEY_PREFIX + clientId);
+}
+
+// Admin: top up or drain a client to `remaining` requests
+export async function setSlidingWindowRemaining(clientId, remaining, store = defaultStore, clock = Date.now) {
+  // Through update() so a request consuming at the same time isn't lost
+  return store.update(KEY_PREFIX + clientId, (state) => {
+    if (!state) return { result: null };
+
+    const window = new SlidingWindow(state.maxRequests, state.windowMs, state, clock);
+    window.setRemaining(remaining);
+    return {
+      state: window.toJSON(),
+      ttlMs: state.windowMs,
+      result: { ...parseClientKey(clientId), ...window.getStatus() }
+    };
   });
-  return stats;
 }
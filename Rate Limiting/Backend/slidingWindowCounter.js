@@ -0,0 +1,240 @@
+/**
+ * Sliding Window Counter Algorithm (approximated)
+ * 
+ * - Keeps only two counters per client: previous and current fixed window
+ * - Estimates the sliding window count by weighting the previous window
+ *   by how much of it still overlaps the sliding window:
+ *     estimate = previous * (1 - elapsed / window) + current
+ * - Smooths out the fixed window 2x boundary burst
+ * - Constant memory per client (vs. one timestamp per request)
+ * - Approximate: assumes requests in the previous window were evenly spread
+ * 
+ * Best for: Near-sliding-window accuracy at fixed window memory cost
+ */
+
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+
+export class SlidingWindowCounter {
+  // state is the plain object previously saved in the store (null for a new client)
+  constructor(maxRequests, windowMs, state = null, clock = Date.now) {
+    this.clock = clock; // () => current time in ms
+    this.maxRequests = maxRequests;
+    this.windowMs = windowMs;
+    this.windowStart = state ? state.windowStart : this.alignedWindowStart(this.clock());
+    this.currentCount = state ? state.currentCount : 0;
+    this.previousCount = state ? state.previousCount : 0;
+  }
+
+  // Windows are aligned to multiples of windowMs so every client shares boundaries
+  alignedWindowStart(now) {
+    return Math.floor(now / this.windowMs) * this.windowMs;
+  }
+
+  // Roll the counters forward if one or more windows have passed
+  advance() {
+    const now = this.clock();
+    const windowStart = this.alignedWindowStart(now);
+    
+    if (windowStart !== this.windowStart) {
+      // Only the window right before the current one still overlaps
+      const isAdjacent = windowStart - this.windowStart === this.windowMs;
+      this.previousCount = isAdjacent ? this.currentCount : 0;
+      this.currentCount = 0;
+      this.windowStart = windowStart;
+    }
+  }
+
+  // Weighted count of requests in the sliding window ending now
+  estimate(now = this.clock()) {
+    const elapsed = now - this.windowStart;
+    const previousWeight = 1 - elapsed / this.windowMs;
+    return this.previousCount * previousWeight + this.currentCount;
+  }
+
+  // How long until the estimate drops enough to admit `cost` more units
+  msUntilAllowed(now, cost) {
+    const elapsed = now - this.windowStart;
+    const room = this.maxRequests - cost;
+    
+    if (this.currentCount <= room) {
+      // Wait for the previous window's weight to decay far enough
+      if (this.previousCount === 0) return 0;
+      const neededElapsed = this.windowMs * (1 - (room - this.currentCount) / this.previousCount);
+      return Math.max(0, neededElapsed - elapsed);
+    }
+    
+    // Current window is full: wait for it to become the previous window and decay
+    const neededElapsed = this.windowMs * (1 - Math.max(0, room) / this.currentCount);
+    return (this.windowMs - elapsed) + Math.max(0, neededElapsed);
+  }
+
+  // Try to allow a request that costs `cost` units
+  allow(cost = 1) {
+    this.advance();
+    const now = this.clock();
+    const resetAt = this.windowStart + this.windowMs;
+    
+    if (this.estimate(now) + cost <= this.maxRequests) {
+      this.currentCount += cost;
+      return {
+        allowed: true,
+        remaining: Math.max(0, Math.floor(this.maxRequests - this.estimate(now))),
+        resetAt
+      };
+    }
+    
+    return {
+      allowed: false,
+      remaining: Math.max(0, Math.floor(this.maxRequests - this.estimate(now))),
+      resetAt,
+      retryAfter: Math.max(1, Math.ceil(this.msUntilAllowed(now, cost) / 1000))
+    };
+  }
+
+  getStatus() {
+    this.advance();
+    const now = this.clock();
+    const resetAt = this.windowStart + this.windowMs;
+    
+    return {
+      estimated: Math.round(this.estimate(now) * 100) / 100,
+      previousCount: this.previousCount,
+      currentCount: this.currentCount,
+      max: this.maxRequests,
+      windowMs: this.windowMs,
+      resetAt,
+      resetIn: Math.ceil((resetAt - now) / 1000)
+    };
+  }
+
+  // Admin top-up (or drain): drop the previous window's weight and set the
+  // current count so the estimate leaves exactly `remaining` requests
+  setRemaining(remaining) {
+    this.advance();
+    this.previousCount = 0;
+    this.currentCount = this.maxRequests - Math.min(this.maxRequests, Math.max(0, remaining));
+  }
+
+  // Plain object saved in the store between requests
+  toJSON() {
+    return {
+      maxRequests: this.maxRequests,
+      windowMs: this.windowMs,
+      windowStart: this.windowStart,
+      currentCount: this.currentCount,
+      previousCount: this.previousCount
+    };
+  }
+}
+
+// Default store (in-memory); pass { store } to share state across servers
+const defaultStore = new MemoryStore();
+const KEY_PREFIX = 'sliding-counter:';
+
+export function slidingWindowCounterMiddleware(maxRequests = 10, windowMs = 60000, {
+  store = defaultStore,
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  cost: requestCost = 1,
+  // () => current time in ms; pass a fake clock to test without sleeping
+  clock = Date.now
+} = {}) {
+  return async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { maxRequests, windowMs, ...limits(req) };
+    // The current window's count still matters during the next window
+    const ttlMs = config.windowMs * 2;
+
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'sliding-counter', cost, limit: config.maxRequests })) return;
+    
+    let result;
+    try {
+      result = await store.update(KEY_PREFIX + clientId, (state) => {
+        const window = new SlidingWindowCounter(config.maxRequests, config.windowMs, state, clock);
+        return { result: window.allow(cost), state: window.toJSON() };
+      }, ttlMs);
+    } catch (error) {
+      // Fail open - allow the request if the store is unavailable
+      console.error('Sliding window counter store error:', error.message);
+      return next();
+    }
+    
+    // Add rate limit headers
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'sliding-counter',
+      limit: config.maxRequests,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: config.windowMs,
+      cost,
+      now: clock()
+    });
+    
+    if (!result.allowed) {
+      res.setHeader('Retry-After', result.retryAfter);
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
+        algorithm: 'sliding-counter',
+        limit: config.maxRequests,
+        windowMs: config.windowMs,
+        cost,
+        retryAfter: result.retryAfter,
+        resetAt: new Date(result.resetAt).toISOString()
+      });
+    }
+    
+    next();
+  };
+}
+
+export async function getSlidingWindowCounterStats(store = defaultStore, clock = Date.now) {
+  try {
+    const entries = await store.entries(KEY_PREFIX);
+    return entries.map(([key, state]) => {
+      const window = new SlidingWindowCounter(state.maxRequests, state.windowMs, state, clock);
+      return {
+        ...parseClientKey(key.slice(KEY_PREFIX.length)),
+        ...window.getStatus()
+      };
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin: one client's state, or null if it has none
+export async function getSlidingWindowCounterClient(clientId, store = defaultStore, clock = Date.now) {
+  const state = await store.get(KEY_PREFIX + clientId);
+  if (!state) return null;
+
+  const window = new SlidingWindowCounter(state.maxRequests, state.windowMs, state, clock);
+  return { ...parseClientKey(clientId), ...window.getStatus() };
+}
+
+// Admin: forget a client, giving it a fresh full allowance
+export async function resetSlidingWindowCounterClient(clientId, store = defaultStore) {
+  return store.delete(KEY_PREFIX + clientId);
+}
+
+// Admin: top up or drain a client to `remaining` requests
+export async function setSlidingWindowCounterRemaining(clientId, remaining, store = defaultStore, clock = Date.now) {
+  // Through update() so a request consuming at the same time isn't lost
+  return store.update(KEY_PREFIX + clientId, (state) => {
+    if (!state) return { result: null };
+
+    const window = new SlidingWindowCounter(state.maxRequests, state.windowMs, state, clock);
+    window.setRemaining(remaining);
+    return {
+      state: window.toJSON(),
+      ttlMs: state.windowMs * 2,
+      result: { ...parseClientKey(clientId), ...window.getStatus() }
+    };
+  });
+}
@@ -0,0 +1,54 @@
+/**
+ * Fallback Store
+ *
+ * - Uses the primary store (e.g. Redis) while it works
+ * - Switches to the fallback store (e.g. memory) for any call that fails,
+ *   so state is shared when Redis is up and still kept when it is down
+ * - State written to the fallback is not copied back once the primary recovers
+ *
+ * Best for: Data that should be shared when possible but must never block
+ * requests (e.g. bans)
+ */
+
+export class FallbackStore {
+  constructor({ primary, fallback }) {
+    this.primary = primary;
+    this.fallback = fallback;
+  }
+
+  async call(method, ...args) {
+    try {
+      return await this.primary[method](...args);
+    } catch (error) {
+      return this.fallback[method](...args);
+    }
+  }
+
+  get(key) {
+    return this.call('get', key);
+  }
+
+  set(key, value, ttlMs) {
+    return this.call('set', key, value, ttlMs);
+  }
+
+  update(key, updater, ttlMs) {
+    return this.call('update', key, updater, ttlMs);
+  }
+
+  delete(key) {
+    return this.call('delete', key);
+  }
+
+  entries(prefix = '') {
+    return this.call('entries', prefix);
+  }
+
+  getStats() {
+    return {
+      type: 'fallback',
+      primary: this.primary.getStats(),
+      fallback: this.fallback.getStats()
+    };
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * File Store
+ *
+ * - Keeps limiter state in memory and snapshots it to a JSON file
+ * - State survives restarts of a single server
+ * - No external service needed (unlike Redis)
+ * - Not shared between machines; only one process should own the file
+ *
+ * Best for: Single servers that restart often (deploys, crashes)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MemoryStore } from './memoryStore.js';
+
+export class FileStore extends MemoryStore {
+  constructor({ filePath = path.resolve('ratelimit-state.json'), flushIntervalMs = 1000, ...options } = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.flushIntervalMs = flushIntervalMs;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  // Restore the previous snapshot, skipping entries that expired while we were down
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = this.clock();
+      Object.entries(snapshot).forEach(([key, entry]) => {
+        if (!entry.expiresAt || entry.expiresAt > now) {
+          this.data.set(key, entry);
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to load rate limit state from ${this.filePath}:`, error.message);
+    }
+  }
+
+  // Batch writes: at most one flush per interval, written atomically via rename
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        console.error('Failed to save rate limit state:', error.message);
+      });
+    }, this.flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  async flush() {
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.data)));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  write(key, value, ttlMs) {
+    super.write(key, value, ttlMs);
+    this.scheduleFlush();
+  }
+
+  async delete(key) {
+    const deleted = await super.delete(key);
+    this.scheduleFlush();
+    return deleted;
+  }
+
+  sweep() {
+    const removed = super.sweep();
+    if (removed > 0) this.scheduleFlush();
+    return removed;
+  }
+
+  getStats() {
+    return { ...super.getStats(), type: 'file', filePath: this.filePath };
+  }
+}
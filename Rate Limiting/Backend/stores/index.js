@@ -0,0 +1,36 @@
+/**
+ * Storage backends for the rate limiting algorithms
+ *
+ * Every store implements the same async interface:
+ *   get(key), set(key, value, ttlMs), delete(key), entries(prefix)
+ *   update(key, updater, ttlMs) - updater(state) returns { state, result };
+ *                                 the new state is saved atomically and
+ *                                 result is returned to the caller. The
+ *                                 updater may also return ttlMs (when it
+ *                                 depends on the stored state), or leave
+ *                                 state undefined to save nothing
+ * plus a synchronous getStats() describing the store (size, evictions).
+ *
+ * Algorithms only describe how state changes, so any of them can run
+ * in-process (memory/file) or shared across servers (redis).
+ */
+
+import { MemoryStore } from './memoryStore.js';
+import { RedisStore } from './redisStore.js';
+import { FileStore } from './fileStore.js';
+import { FallbackStore } from './fallbackStore.js';
+
+export { MemoryStore, RedisStore, FileStore, FallbackStore };
+
+export function createStore(type = 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore(options);
+    case 'redis':
+      return new RedisStore(options);
+    case 'file':
+      return new FileStore(options);
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * In-Memory Store
+ *
+ * - Keeps limiter state in a Map inside this process
+ * - Fastest option, no external dependencies
+ * - State is lost on restart and not shared between servers
+ * - Stays bounded: a background sweeper drops expired entries, and an
+ *   optional maxEntries cap evicts the least recently used client
+ *   (so a scan or DDoS from many IPs can't grow memory forever)
+ *
+ * Best for: Single-instance deployments and local development
+ */
+
+export class MemoryStore {
+  // clock: () => current time in ms for TTLs; pass the limiter's fake clock in tests
+  constructor({ maxEntries = Infinity, sweepIntervalMs = 60000, clock = Date.now } = {}) {
+    this.data = new Map(); // key -> { value, expiresAt }, oldest access first
+    this.maxEntries = maxEntries;
+    this.clock = clock;
+    this.evictions = { expired: 0, lru: 0 };
+
+    if (sweepIntervalMs > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+      this.sweepTimer.unref(); // Don't keep the process alive just for this
+    }
+  }
+
+  // Drop the entry if its TTL has passed
+  isExpired(key, entry, now = this.clock()) {
+    if (entry.expiresAt && entry.expiresAt <= now) {
+      this.data.delete(key);
+      this.evictions.expired++;
+      return true;
+    }
+    return false;
+  }
+
+  // Remove every expired entry; returns how many were removed
+  sweep() {
+    const now = this.clock();
+    let removed = 0;
+    this.data.forEach((entry, key) => {
+      if (this.isExpired(key, entry, now)) removed++;
+    });
+    return removed;
+  }
+
+  // read/write are synchronous so update() can't be interleaved; get/set wrap
+  // them to match the async store interface
+  read(key) {
+    const entry = this.data.get(key);
+    if (!entry || this.isExpired(key, entry)) return null;
+
+    // Re-insert so Map order tracks recency (least recently used first)
+    this.data.delete(key);
+    this.data.set(key, entry);
+    return entry.value;
+  }
+
+  write(key, value, ttlMs) {
+    this.data.delete(key);
+    this.data.set(key, {
+      value,
+      expiresAt: ttlMs ? this.clock() + ttlMs : null
+    });
+
+    while (this.data.size > this.maxEntries) {
+      this.data.delete(this.data.keys().next().value);
+      this.evictions.lru++;
+    }
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async set(key, value, ttlMs) {
+    this.write(key, value, ttlMs);
+  }
+
+  // Read the current state, let the algorithm compute the next one, save it.
+  // Nothing in between awaits, so single-threaded JS makes this atomic:
+  // concurrent updates of one key run one after the other.
+  async update(key, updater, ttlMs) {
+    const { state, result, ttlMs: stateTtlMs = ttlMs } = updater(this.read(key));
+    if (state !== undefined) this.write(key, state, stateTtlMs);
+    return result;
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async entries(prefix = '') {
+    const now = this.clock();
+    const result = [];
+    this.data.forEach((entry, key) => {
+      if (key.startsWith(prefix) && !this.isExpired(key, entry, now)) {
+        result.push([key, entry.value]);
+      }
+    });
+    return result;
+  }
+
+  getStats() {
+    return {
+      type: 'memory',
+      entries: this.data.size,
+      maxEntries: Number.isFinite(this.maxEntries) ? this.maxEntries : null,
+      evictions: { ...this.evictions }
+    };
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Redis Store
+ *
+ * - Keeps limiter state as JSON strings in Redis
+ * - Shared by every server pointing at the same Redis
+ * - Updates use WATCH/MULTI so concurrent servers never lose a write
+ * - Keys expire on their own once the algorithm no longer needs them
+ *
+ * Best for: Multiple Express instances that must share one limit
+ */
+
+import { WatchError } from 'redis';
+
+const MAX_RETRIES = 10;
+
+export class RedisStore {
+  // getClient returns the connected node-redis client (it may connect after startup)
+  constructor({ getClient, prefix = 'rlstore:' }) {
+    this.getClient = getClient;
+    this.prefix = prefix;
+  }
+
+  client() {
+    const client = this.getClient();
+    if (!client || !client.isReady) {
+      throw new Error('Redis not connected');
+    }
+    return client;
+  }
+
+  async get(key) {
+    const raw = await this.client().get(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    const options = ttlMs ? { PX: Math.ceil(ttlMs) } : undefined;
+    await this.client().set(this.prefix + key, JSON.stringify(value), options);
+  }
+
+  // Optimistic locking: if another server changes the key between our read
+  // and write, the transaction is aborted and we retry with the fresh state.
+  async update(key, updater, ttlMs) {
+    const fullKey = this.prefix + key;
+
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+      try {
+        return await this.client().executeIsolated(async (isolated) => {
+          await isolated.watch(fullKey);
+          const raw = await isolated.get(fullKey);
+          const { state, result, ttlMs: stateTtlMs = ttlMs } = updater(raw ? JSON.parse(raw) : null);
+          if (state === undefined) {
+            await isolated.unwatch();
+            return result;
+          }
+
+          const options = stateTtlMs ? { PX: Math.ceil(stateTtlMs) } : undefined;
+          await isolated.multi().set(fullKey, JSON.stringify(state), options).exec();
+          return result;
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError)) throw error;
+      }
+    }
+
+    throw new Error(`Too much contention updating ${key}`);
+  }
+
+  async delete(key) {
+    return (await this.client().del(this.prefix + key)) > 0;
+  }
+
+  async entries(prefix = '') {
+    const client = this.client();
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${this.prefix}${prefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+    if (keys.length === 0) return [];
+
+    const values = await client.mGet(keys);
+    const result = [];
+    keys.forEach((key, i) => {
+      if (values[i] !== null) {
+        result.push([key.slice(this.prefix.length), JSON.parse(values[i])]);
+      }
+    });
+    return result;
+  }
+
+  // Expiry is handled by Redis itself (every key has a TTL)
+  getStats() {
+    return { type: 'redis', prefix: this.prefix };
+  }
+}
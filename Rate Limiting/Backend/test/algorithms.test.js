@@ -0,0 +1,255 @@
+// Algorithm behaviour over time, driven by a fake clock instead of sleeping
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../stores/index.js';
+import { TokenBucket, getTokenBucketClient, setTokenBucketRemaining } from '../tokenBucket.js';
+import { FixedWindow, getFixedWindowStats } from '../fixedWindow.js';
+import { SlidingWindow, getSlidingWindowClient } from '../slidingWindow.js';
+import { SlidingWindowCounter } from '../slidingWindowCounter.js';
+import { LeakyBucket } from '../leakyBucket.js';
+import { Gcra } from '../gcra.js';
+import { fakeClock } from './helpers.js';
+
+// Spend the whole allowance, returning the last decision
+function drain(take, count) {
+  let result;
+  for (let i = 0; i < count; i++) result = take();
+  return result;
+}
+
+describe('token bucket', () => {
+  test('refills at exactly refillRate tokens per second', () => {
+    const clock = fakeClock();
+    const bucket = new TokenBucket(10, 2, null, clock);
+    drain(() => bucket.consume(), 10);
+    assert.equal(bucket.consume().allowed, false);
+
+    clock.tick(499);
+    assert.equal(bucket.consume().allowed, false, '0.998 tokens is not a whole token');
+    clock.tick(1);
+    assert.equal(bucket.consume().allowed, true);
+    assert.equal(bucket.consume().allowed, false);
+
+    clock.tick(1250);
+    assert.equal(bucket.getStatus().tokens, 2);
+  });
+
+  test('never refills past capacity', () => {
+    const clock = fakeClock();
+    const bucket = new TokenBucket(5, 1, null, clock);
+    bucket.consume(3);
+    clock.tick(60_000);
+    assert.equal(bucket.getStatus().tokens, 5);
+  });
+
+  test('retryAfter is the wait for the missing tokens', () => {
+    const clock = fakeClock();
+    const bucket = new TokenBucket(10, 2, null, clock);
+    drain(() => bucket.consume(), 10);
+
+    const rejected = bucket.consume(4);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfter, 2);
+
+    clock.tick(rejected.retryAfter * 1000);
+    assert.equal(bucket.consume(4).allowed, true);
+  });
+
+  test('resetAt is when the bucket is full again', () => {
+    const clock = fakeClock();
+    const bucket = new TokenBucket(10, 2, null, clock);
+    const result = bucket.consume(4);
+    assert.equal(result.resetAt, clock() + 2000);
+  });
+
+  test('state saved between requests keeps refilling from lastRefill', () => {
+    const clock = fakeClock();
+    const first = new TokenBucket(10, 1, null, clock);
+    drain(() => first.consume(), 10);
+    const saved = first.toJSON();
+
+    clock.tick(3000);
+    const restored = new TokenBucket(10, 1, saved, clock);
+    assert.equal(restored.getStatus().tokens, 3);
+  });
+});
+
+describe('fixed window', () => {
+  test('resets the count once windowMs has passed', () => {
+    const clock = fakeClock();
+    const window = new FixedWindow(3, 1000, null, clock);
+    drain(() => window.allow(), 3);
+    assert.equal(window.allow().allowed, false);
+
+    clock.tick(999);
+    assert.equal(window.allow().allowed, false);
+    clock.tick(1);
+    const result = window.allow();
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 2);
+    assert.equal(result.resetAt, clock() + 1000);
+  });
+
+  test('retryAfter points at the window boundary', () => {
+    const clock = fakeClock();
+    const window = new FixedWindow(2, 10_000, null, clock);
+    drain(() => window.allow(), 2);
+
+    clock.tick(3_500);
+    const rejected = window.allow();
+    assert.equal(rejected.retryAfter, 7);
+    assert.equal(rejected.resetAt, clock() + 6_500);
+  });
+});
+
+describe('sliding window', () => {
+  test('evicts each request exactly windowMs after it was made', () => {
+    const clock = fakeClock();
+    const window = new SlidingWindow(3, 1000, null, clock);
+    window.allow();
+    clock.tick(300);
+    window.allow();
+    clock.tick(300);
+    window.allow();
+    assert.equal(window.allow().allowed, false);
+
+    // t=1000: the first request falls out of the window
+    clock.tick(400);
+    assert.equal(window.getStatus().current, 2);
+    assert.equal(window.allow().allowed, true);
+    assert.equal(window.allow().allowed, false);
+
+    // t=1300: the second one does too
+    clock.tick(300);
+    assert.equal(window.getStatus().current, 2);
+  });
+
+  test('retryAfter waits for enough of the oldest requests to expire', () => {
+    const clock = fakeClock();
+    const window = new SlidingWindow(4, 10_000, null, clock);
+    window.allow(2);
+    clock.tick(2_000);
+    window.allow(2);
+
+    clock.tick(1_000);
+    const rejected = window.allow(3);
+    assert.equal(rejected.allowed, false);
+    // Both batches have to expire, the second at t=12s (9s from now)
+    assert.equal(rejected.retryAfter, 9);
+
+    clock.tick(rejected.retryAfter * 1000);
+    assert.equal(window.allow(3).allowed, true);
+  });
+});
+
+describe('sliding window counter', () => {
+  test('weights the previous window by how much of it still overlaps', () => {
+    const clock = fakeClock(10_000);
+    const window = new SlidingWindowCounter(10, 1000, null, clock);
+    drain(() => window.allow(), 10);
+
+    // Halfway into the next window half of the previous count still applies
+    clock.tick(1500);
+    assert.equal(window.allow(5).allowed, true);
+    assert.equal(window.allow().allowed, false);
+  });
+
+  test('retryAfter is enough for the estimate to admit the request', () => {
+    const clock = fakeClock(10_000);
+    const window = new SlidingWindowCounter(10, 10_000, null, clock);
+    drain(() => window.allow(), 10);
+
+    const rejected = window.allow();
+    assert.equal(rejected.allowed, false);
+    clock.tick(rejected.retryAfter * 1000);
+    assert.equal(window.allow().allowed, true);
+  });
+});
+
+describe('leaky bucket', () => {
+  test('drains at leakRate and retryAfter matches the drain', () => {
+    const clock = fakeClock();
+    const bucket = new LeakyBucket(4, 2, null, clock);
+    drain(() => bucket.add(), 4);
+
+    const rejected = bucket.add(3);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfter, 2);
+
+    clock.tick(1000);
+    assert.equal(bucket.getStatus().level, 2);
+    clock.tick(500);
+    assert.equal(bucket.add(3).allowed, true);
+  });
+});
+
+describe('gcra', () => {
+  test('allows the burst, then one request per emission interval', () => {
+    const clock = fakeClock();
+    const gcra = new Gcra(10, 10_000, 3, null, clock);
+    drain(() => gcra.allow(), 3);
+
+    const rejected = gcra.allow();
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfter, 1);
+
+    clock.tick(999);
+    assert.equal(gcra.allow().allowed, false);
+    clock.tick(1);
+    assert.equal(gcra.allow().allowed, true);
+  });
+});
+
+describe('store helpers use the injected clock', () => {
+  test('client lookups and top-ups read state at the fake time', async () => {
+    const clock = fakeClock();
+    const store = new MemoryStore({ sweepIntervalMs: 0, clock });
+
+    const bucket = new TokenBucket(10, 1, null, clock);
+    drain(() => bucket.consume(), 10);
+    await store.set('token-bucket:ip:1.2.3.4', bucket.toJSON(), 10_000);
+
+    clock.tick(4000);
+    assert.equal((await getTokenBucketClient('ip:1.2.3.4', store, clock)).tokens, 4);
+
+    const topped = await setTokenBucketRemaining('ip:1.2.3.4', 7, store, clock);
+    assert.equal(topped.tokens, 7);
+    assert.equal((await store.get('token-bucket:ip:1.2.3.4')).lastRefill, clock());
+  });
+
+  test('top-ups leave unknown clients alone and keep the state TTL', async () => {
+    const clock = fakeClock();
+    const store = new MemoryStore({ sweepIntervalMs: 0, clock });
+
+    assert.equal(await setTokenBucketRemaining('ip:1.2.3.4', 7, store, clock), null);
+    assert.deepEqual(await store.entries(), []);
+
+    const bucket = new TokenBucket(10, 1, null, clock);
+    bucket.consume(10);
+    await store.set('token-bucket:ip:1.2.3.4', bucket.toJSON(), 10_000);
+    await setTokenBucketRemaining('ip:1.2.3.4', 7, store, clock);
+
+    // Saved with the bucket's TTL (the time to refill from empty)
+    clock.tick(10_000);
+    assert.equal(await store.get('token-bucket:ip:1.2.3.4'), null);
+  });
+
+  test('stats report windows relative to the fake time', async () => {
+    const clock = fakeClock();
+    const store = new MemoryStore({ sweepIntervalMs: 0, clock });
+
+    const fixed = new FixedWindow(5, 60_000, null, clock);
+    fixed.allow();
+    await store.set('fixed-window:ip:1.2.3.4', fixed.toJSON(), 60_000);
+    const sliding = new SlidingWindow(5, 60_000, null, clock);
+    sliding.allow();
+    await store.set('sliding-window:ip:1.2.3.4', sliding.toJSON(), 60_000);
+
+    clock.tick(20_000);
+    const [stats] = await getFixedWindowStats(store, clock);
+    assert.equal(stats.count, 1);
+    assert.equal(stats.resetIn, 40);
+    assert.equal((await getSlidingWindowClient('ip:1.2.3.4', store, clock)).resetIn, 40);
+  });
+});
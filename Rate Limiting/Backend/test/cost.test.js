@@ -0,0 +1,62 @@
+// Request costs the limiters can't charge are refused up front
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../stores/index.js';
+import { tokenBucketMiddleware } from '../tokenBucket.js';
+import { slidingWindowMiddleware } from '../slidingWindow.js';
+import { gcraMiddleware } from '../gcra.js';
+import { createLimiter } from '../limiter.js';
+import { costProblem } from '../cost.js';
+import { send } from './helpers.js';
+
+describe('costProblem', () => {
+  test('accepts whole costs up to the limit', () => {
+    assert.equal(costProblem(1, 5), null);
+    assert.equal(costProblem(5, 5), null);
+  });
+
+  test('rejects fractional, zero, negative and non-numeric costs', () => {
+    for (const cost of [0.5, 2.5, 0, -1, NaN, '2', undefined]) {
+      assert.match(costProblem(cost, 5), /whole number/, `cost ${cost}`);
+    }
+  });
+
+  test('rejects costs above the limit', () => {
+    assert.match(costProblem(6, 5), /more than the limit of 5/);
+  });
+});
+
+describe('middlewares', () => {
+  const options = () => ({ store: new MemoryStore({ sweepIntervalMs: 0 }) });
+
+  test('answer 400 for a cost above the limit instead of a 429 that never clears', async () => {
+    const response = await send(tokenBucketMiddleware(5, 1, { ...options(), cost: 6 }));
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Bad Request');
+    assert.equal(response.body.limit, 5);
+    assert.equal(response.body.cost, 6);
+
+    // GCRA's limit is its burst
+    assert.equal((await send(gcraMiddleware(10, 10_000, { ...options(), burst: 3, cost: 4 }))).status, 400);
+    assert.equal((await send(gcraMiddleware(10, 10_000, { ...options(), burst: 3, cost: 3 }))).status, 200);
+  });
+
+  test('answer 400 for fractional costs from a cost function', async () => {
+    const middleware = slidingWindowMiddleware(10, 60_000, { ...options(), cost: (req) => req.headers['x-cost'] ?? 1.5 });
+    assert.equal((await send(middleware)).status, 400);
+  });
+
+  test('admit a cost equal to the limit', async () => {
+    assert.equal((await send(tokenBucketMiddleware(5, 1, { ...options(), cost: 5 }))).status, 200);
+  });
+});
+
+describe('createLimiter', () => {
+  test('consume rejects costs it could never admit', async () => {
+    const limiter = createLimiter('sliding-window', { maxRequests: 3, windowMs: 1000 });
+    await assert.rejects(limiter.consume('ip:203.0.113.7', 4), /more than the limit of 3/);
+    await assert.rejects(limiter.consume('ip:203.0.113.7', 1.5), /whole number/);
+    assert.equal((await limiter.consume('ip:203.0.113.7', 3)).allowed, true);
+  });
+});
@@ -0,0 +1,125 @@
+// Redis limiters under concurrent load: many requests for one key racing
+// through several "servers" must never admit more than the limit.
+// Needs a Redis at REDIS_URL (default redis://localhost:6379); skipped otherwise.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createClient } from 'redis';
+import { initRedis, closeRedis, getRedisClient, distributedRedisMiddleware } from '../distributedRedis.js';
+import { distributedTokenBucketMiddleware, getDistributedTokenBucketStats } from '../distributedTokenBucket.js';
+import { distributedFixedWindowMiddleware, getDistributedFixedWindowStats } from '../distributedFixedWindow.js';
+import { send } from './helpers.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const SERVERS = 4;
+const REQUESTS = 200;
+const LIMIT = 25;
+
+// Connect with a plain socket first so a missing Redis skips the suite
+// instead of leaving the client retrying in the background
+function redisReachable(url, timeoutMs = 500) {
+  const { hostname, port } = new URL(url);
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: hostname, port: Number(port) || 6379 });
+    const done = (reachable) => {
+      socket.destroy();
+      resolve(reachable);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+const skip = (await redisReachable(REDIS_URL)) ? false : `no Redis at ${REDIS_URL}`;
+
+// Fire every request at once, spread round-robin over the servers; resolves to the status codes
+async function burst(servers, id, count) {
+  const keyGenerator = () => ({ strategy: 'test', id });
+  const middlewares = servers.map((create, i) => create({ keyGenerator, client: clients[i] }));
+
+  const responses = await Promise.all(Array.from({ length: count }, (_, i) => send(middlewares[i % middlewares.length])));
+  return responses.map(response => response.status);
+}
+
+const admitted = (statuses) => statuses.filter(status => status === 200).length;
+
+// One connection per simulated server, as separate processes would have;
+// the shared client from initRedis() only reads stats and cleans up
+const clients = [];
+
+describe('Redis limiters under concurrent load', { skip }, () => {
+  const id = `concurrency-${process.pid}-${Date.now()}`;
+
+  before(async () => {
+    assert.ok(await initRedis(), 'could not connect to Redis');
+    for (let i = 0; i < SERVERS; i++) {
+      clients.push(await createClient({ url: REDIS_URL }).connect());
+    }
+  });
+
+  after(async () => {
+    const client = getRedisClient();
+    await client.del([`ratelimit:test:${id}`, `ratelimit-tb:test:${id}`, `ratelimit-fw:test:${id}`]);
+    await Promise.all(clients.map(server => server.quit()));
+    await closeRedis();
+  });
+
+  test('sliding window admits exactly the limit', async () => {
+    const servers = Array.from({ length: SERVERS }, () => (options) => distributedRedisMiddleware(LIMIT, 60_000, options));
+    const statuses = await burst(servers, id, REQUESTS);
+
+    assert.equal(admitted(statuses), LIMIT);
+    assert.ok(statuses.every(status => status === 200 || status === 429), `unexpected statuses: ${statuses}`);
+  });
+
+  test('sliding window counts the cost of each admitted request', async () => {
+    const servers = Array.from({ length: SERVERS }, () => (options) => (
+      distributedRedisMiddleware(LIMIT, 60_000, { ...options, cost: 3 })
+    ));
+    const statuses = await burst(servers, `${id}-cost`, REQUESTS);
+    await getRedisClient().del(`ratelimit:test:${id}-cost`);
+
+    assert.equal(admitted(statuses), Math.floor(LIMIT / 3));
+  });
+
+  test('token bucket never hands out more than its capacity', async () => {
+    // Refill is slow enough that no token comes back during the burst
+    const servers = Array.from({ length: SERVERS }, () => (options) => distributedTokenBucketMiddleware(LIMIT, 0.001, options));
+    const statuses = await burst(servers, id, REQUESTS);
+
+    assert.equal(admitted(statuses), LIMIT);
+  });
+
+  test('fixed window admits exactly the limit', async () => {
+    // The window opens with the first request, so the burst can't straddle two
+    const servers = Array.from({ length: SERVERS }, () => (options) => distributedFixedWindowMiddleware(LIMIT, 60_000, options));
+    const statuses = await burst(servers, id, REQUESTS);
+
+    assert.equal(admitted(statuses), LIMIT);
+  });
+
+  test('stats page through the buckets and windows left by the bursts', async () => {
+    // Walk every page, as a client of the stats routes would
+    const everyPage = async (getStats) => {
+      const clients = [];
+      let cursor = 0;
+      do {
+        const page = await getStats({ cursor, limit: 10 });
+        clients.push(...page.clients);
+        cursor = page.cursor;
+      } while (cursor !== null);
+      return clients;
+    };
+
+    const bucket = (await everyPage(getDistributedTokenBucketStats)).find(client => client.clientId === id);
+    assert.equal(bucket.tokens, 0);
+    const window = (await everyPage(getDistributedFixedWindowStats)).find(client => client.clientId === id);
+    assert.equal(window.count, LIMIT);
+
+    const summary = await getDistributedFixedWindowStats({ summary: true });
+    assert.ok(summary.totalClients >= 1);
+    assert.ok(summary.totalRequests >= LIMIT);
+  });
+});
@@ -0,0 +1,171 @@
+// Rate limit headers checked against each algorithm's state, on a fake clock
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../stores/index.js';
+import { tokenBucketMiddleware } from '../tokenBucket.js';
+import { fixedWindowMiddleware } from '../fixedWindow.js';
+import { slidingWindowMiddleware } from '../slidingWindow.js';
+import { slidingWindowCounterMiddleware } from '../slidingWindowCounter.js';
+import { leakyBucketMiddleware } from '../leakyBucket.js';
+import { gcraMiddleware } from '../gcra.js';
+import { fakeClock, send } from './helpers.js';
+
+// "limit=5, remaining=4, reset=1" -> { limit: 5, remaining: 4, reset: 1 }
+function rateLimitField(headers) {
+  return Object.fromEntries(
+    headers.ratelimit.split(',').map(part => {
+      const [name, value] = part.trim().split('=');
+      return [name, Number(value)];
+    })
+  );
+}
+
+// Build the middleware on a fresh store and a fake clock. The clock starts on a
+// multiple of every window below, so aligned windows start right there.
+function setup(factory, format = 'ietf') {
+  const clock = fakeClock();
+  const middleware = factory({ clock, store: new MemoryStore({ sweepIntervalMs: 0, clock }), headers: format });
+  return { clock, request: () => send(middleware) };
+}
+
+async function times(request, count) {
+  let response;
+  for (let i = 0; i < count; i++) response = await request();
+  return response;
+}
+
+describe('ietf headers', () => {
+  test('token bucket: reset is when the bucket is full again', async () => {
+    const { clock, request } = setup((options) => tokenBucketMiddleware(5, 1, options));
+
+    const first = await request();
+    assert.equal(first.headers['ratelimit-policy'], '5;w=5');
+    assert.deepEqual(rateLimitField(first.headers), { limit: 5, remaining: 4, reset: 1 });
+
+    const last = await times(request, 4);
+    assert.deepEqual(rateLimitField(last.headers), { limit: 5, remaining: 0, reset: 5 });
+
+    const rejected = await request();
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.headers['retry-after'], '1');
+    assert.deepEqual(rateLimitField(rejected.headers), { limit: 5, remaining: 0, reset: 5 });
+
+    clock.tick(2500);
+    const refilled = await request();
+    assert.equal(refilled.status, 200);
+    assert.deepEqual(rateLimitField(refilled.headers), { limit: 5, remaining: 1, reset: 4 });
+    assert.equal(refilled.headers['retry-after'], undefined);
+  });
+
+  test('fixed window: reset counts down to the window boundary', async () => {
+    const { clock, request } = setup((options) => fixedWindowMiddleware(3, 10_000, options));
+
+    const first = await request();
+    assert.equal(first.headers['ratelimit-policy'], '3;w=10');
+    assert.deepEqual(rateLimitField(first.headers), { limit: 3, remaining: 2, reset: 10 });
+
+    clock.tick(4000);
+    const last = await times(request, 2);
+    assert.deepEqual(rateLimitField(last.headers), { limit: 3, remaining: 0, reset: 6 });
+
+    const rejected = await request();
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.headers['retry-after'], '6');
+    assert.deepEqual(rateLimitField(rejected.headers), { limit: 3, remaining: 0, reset: 6 });
+  });
+
+  test('sliding window: reset is when the oldest request leaves the window', async () => {
+    const { clock, request } = setup((options) => slidingWindowMiddleware(3, 10_000, options));
+
+    await request();
+    clock.tick(4000);
+    const last = await times(request, 2);
+    assert.equal(last.headers['ratelimit-policy'], '3;w=10');
+    assert.deepEqual(rateLimitField(last.headers), { limit: 3, remaining: 0, reset: 6 });
+
+    const rejected = await request();
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.headers['retry-after'], '6');
+    assert.deepEqual(rateLimitField(rejected.headers), { limit: 3, remaining: 0, reset: 6 });
+
+    clock.tick(6000);
+    const admitted = await request();
+    assert.equal(admitted.status, 200);
+    assert.deepEqual(rateLimitField(admitted.headers), { limit: 3, remaining: 0, reset: 4 });
+  });
+
+  test('sliding window counter: retry-after outlasts the window while the estimate decays', async () => {
+    const { request } = setup((options) => slidingWindowCounterMiddleware(4, 10_000, options));
+
+    const last = await times(request, 4);
+    assert.equal(last.headers['ratelimit-policy'], '4;w=10');
+    assert.deepEqual(rateLimitField(last.headers), { limit: 4, remaining: 0, reset: 10 });
+
+    // The full window carries over with its weight and only decays enough 2.5s into the next one
+    const rejected = await request();
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.headers['retry-after'], '13');
+    assert.deepEqual(rateLimitField(rejected.headers), { limit: 4, remaining: 0, reset: 10 });
+  });
+
+  test('leaky bucket: reset is when the bucket has drained', async () => {
+    const { clock, request } = setup((options) => leakyBucketMiddleware(3, 1, options));
+
+    const last = await times(request, 3);
+    assert.equal(last.headers['ratelimit-policy'], '3;w=3');
+    assert.deepEqual(rateLimitField(last.headers), { limit: 3, remaining: 0, reset: 3 });
+
+    const rejected = await request();
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.headers['retry-after'], '1');
+    assert.deepEqual(rateLimitField(rejected.headers), { limit: 3, remaining: 0, reset: 3 });
+
+    clock.tick(1000);
+    const admitted = await request();
+    assert.equal(admitted.status, 200);
+    assert.deepEqual(rateLimitField(admitted.headers), { limit: 3, remaining: 0, reset: 3 });
+  });
+
+  test('gcra: limit is the burst and reset is the theoretical arrival time', async () => {
+    const { request } = setup((options) => gcraMiddleware(10, 10_000, { ...options, burst: 3 }));
+
+    const first = await request();
+    assert.equal(first.headers['ratelimit-policy'], '3;w=3');
+    assert.deepEqual(rateLimitField(first.headers), { limit: 3, remaining: 2, reset: 1 });
+
+    const last = await times(request, 2);
+    assert.deepEqual(rateLimitField(last.headers), { limit: 3, remaining: 0, reset: 3 });
+
+    const rejected = await request();
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.headers['retry-after'], '1');
+    assert.deepEqual(rateLimitField(rejected.headers), { limit: 3, remaining: 0, reset: 3 });
+  });
+});
+
+describe('header formats', () => {
+  test('legacy sends X-RateLimit-* with an ISO reset date and no IETF fields', async () => {
+    const { clock, request } = setup((options) => fixedWindowMiddleware(3, 10_000, options), 'legacy');
+
+    const response = await request();
+    assert.equal(response.headers['x-ratelimit-limit'], '3');
+    assert.equal(response.headers['x-ratelimit-remaining'], '2');
+    assert.equal(response.headers['x-ratelimit-reset'], new Date(clock() + 10_000).toISOString());
+    assert.equal(response.headers['x-ratelimit-algorithm'], 'fixed-window');
+    assert.equal(response.headers['x-ratelimit-cost'], '1');
+    assert.equal(response.headers.ratelimit, undefined);
+    assert.equal(response.headers['ratelimit-policy'], undefined);
+  });
+
+  test('both sends the legacy and IETF headers with matching values', async () => {
+    const { request } = setup((options) => tokenBucketMiddleware(5, 1, { ...options, cost: 2 }), 'both');
+
+    const response = await request();
+    const field = rateLimitField(response.headers);
+    assert.equal(response.headers['x-ratelimit-limit'], String(field.limit));
+    assert.equal(response.headers['x-ratelimit-remaining'], String(field.remaining));
+    assert.deepEqual(field, { limit: 5, remaining: 3, reset: 2 });
+    assert.equal(response.headers['x-ratelimit-cost'], '2');
+  });
+});
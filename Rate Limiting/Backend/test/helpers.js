@@ -0,0 +1,33 @@
+// Fakes shared by the tests: a clock that only moves when told to, and just
+// enough of Express's req/res for the middlewares
+
+export const CLIENT_IP = '203.0.113.7';
+
+export function fakeClock(start = 1_700_000_000_000) {
+  let now = start;
+  const clock = () => now;
+  clock.tick = (ms) => { now += ms; };
+  return clock;
+}
+
+export function mockRequest(headers = {}) {
+  return { headers, socket: { remoteAddress: CLIENT_IP } };
+}
+
+// Records the status, the headers (by lower-cased name) and the JSON body
+export function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = String(value); },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Run one request through a middleware; resolves to { status, headers, body }
+export async function send(middleware, req = mockRequest()) {
+  const res = mockResponse();
+  await middleware(req, res, () => {});
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
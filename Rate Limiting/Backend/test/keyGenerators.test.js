@@ -0,0 +1,40 @@
+// Who requests count against, and what other clients get to see of that
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeyGenerator, redactClientId, redactClientKey } from '../keyGenerators.js';
+import { mockRequest as request, CLIENT_IP } from './helpers.js';
+
+describe('api-key strategy', () => {
+  const known = new Set(['rl_known']);
+  const keyGenerator = createKeyGenerator('api-key', { isKnownKey: (key) => known.has(key) });
+
+  test('keys requests by a registered key', () => {
+    assert.deepEqual(keyGenerator(request({ 'x-api-key': 'rl_known' })), { strategy: 'api-key', id: 'rl_known' });
+  });
+
+  test('counts made-up keys against the IP, like requests without a key', () => {
+    assert.deepEqual(keyGenerator(request({ 'x-api-key': 'rl_madeup' })), { strategy: 'ip', id: CLIENT_IP });
+    assert.deepEqual(keyGenerator(request()), { strategy: 'ip', id: CLIENT_IP });
+  });
+});
+
+describe('redaction', () => {
+  test('replaces API keys with a stable fingerprint', () => {
+    const redacted = redactClientId('api-key', 'rl_0123456789abcdef');
+    assert.match(redacted, /^#[0-9a-f]{12}$/);
+    assert.equal(redactClientId('api-key', 'rl_0123456789abcdef'), redacted);
+    assert.notEqual(redactClientId('api-key', 'rl_fedcba9876543210'), redacted);
+    assert.equal(redactClientKey('api-key:rl_0123456789abcdef'), `api-key:${redacted}`);
+  });
+
+  test('keeps the rule name of rule-scoped keys', () => {
+    const redacted = redactClientKey('api-key:reports|rl_0123456789abcdef');
+    assert.equal(redacted, `api-key:reports|${redactClientId('api-key', 'rl_0123456789abcdef')}`);
+  });
+
+  test('leaves other strategies alone', () => {
+    assert.equal(redactClientKey('ip:203.0.113.7'), 'ip:203.0.113.7');
+    assert.equal(redactClientKey('route-ip:GET /api/export|203.0.113.7'), 'route-ip:GET /api/export|203.0.113.7');
+  });
+});
@@ -0,0 +1,60 @@
+// Limiters for non-HTTP traffic, on a fake clock
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../stores/index.js';
+import { createLimiter } from '../limiter.js';
+import { fakeClock } from './helpers.js';
+
+function setup(algorithm, limits) {
+  const clock = fakeClock();
+  return createLimiter(algorithm, limits, { clock, store: new MemoryStore({ sweepIntervalMs: 0, clock }) });
+}
+
+describe('createLimiter', () => {
+  test('consume spends the budget and rejects with retryAfter once it is gone', async () => {
+    const limiter = setup('token-bucket', { capacity: 2, refillRate: 1 });
+
+    assert.equal((await limiter.consume('ip:1.2.3.4')).allowed, true);
+    assert.equal((await limiter.consume('ip:1.2.3.4')).allowed, true);
+    const rejected = await limiter.consume('ip:1.2.3.4');
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfter, 1);
+  });
+
+  test('parallel consumes of one key never overspend', async () => {
+    const limiter = setup('token-bucket', { capacity: 5, refillRate: 0.001 });
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => limiter.consume('k')));
+    assert.equal(results.filter(result => result.allowed).length, 5);
+  });
+
+  test('check answers like consume without spending anything', async () => {
+    const limiter = setup('token-bucket', { capacity: 2, refillRate: 1 });
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await limiter.check('ip:1.2.3.4')).allowed, true);
+    }
+    await limiter.consume('ip:1.2.3.4', 2);
+
+    const checked = await limiter.check('ip:1.2.3.4');
+    assert.equal(checked.allowed, false);
+    assert.equal(checked.retryAfter, 1);
+  });
+
+  test('check rejects costs consume would reject', async () => {
+    const limiter = setup('fixed-window', { maxRequests: 3, windowMs: 1000 });
+
+    await assert.rejects(limiter.check('ip:1.2.3.4', 4), /more than the limit/);
+    await assert.rejects(limiter.check('ip:1.2.3.4', 0.5), /whole number/);
+  });
+
+  test('reset gives the key a fresh budget', async () => {
+    const limiter = setup('fixed-window', { maxRequests: 1, windowMs: 60_000 });
+
+    await limiter.consume('socket:a');
+    assert.equal((await limiter.consume('socket:a')).allowed, false);
+    await limiter.reset('socket:a');
+    assert.equal((await limiter.consume('socket:a')).allowed, true);
+  });
+});
@@ -0,0 +1,39 @@
+// Decisions recorded per response status
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { instrument, registry } from '../metrics.js';
+
+// A limiter that answers every request with `status` itself
+function respondWith(status) {
+  return (req, res) => {
+    res.statusCode = status;
+    res.emit('finish');
+  };
+}
+
+async function decisionCount(route, decision) {
+  const { values } = await registry.getSingleMetric('ratelimit_requests_total').get();
+  return values.find(({ labels }) => labels.route === route && labels.decision === decision)?.value ?? 0;
+}
+
+test('responses are counted by what the limiter decided', async () => {
+  const cases = [
+    [200, 'allowed'],
+    [400, 'invalid'],
+    [403, 'blocked'],
+    [429, 'rejected'],
+    [503, 'unavailable'],
+    [500, 'error']
+  ];
+
+  for (const [status, decision] of cases) {
+    const route = `/test/${status}`;
+    const middleware = instrument(respondWith(status), { algorithm: 'test', store: 'memory', route });
+    middleware({ path: route }, Object.assign(new EventEmitter(), { statusCode: 200 }), () => {});
+
+    assert.equal(await decisionCount(route, decision), 1, `${status} should be ${decision}`);
+    assert.equal(await decisionCount(route, 'allowed'), decision === 'allowed' ? 1 : 0);
+  }
+});
@@ -0,0 +1,77 @@
+// Rules engine: reloads must not leave the old limiters' timers running, and
+// a rules file may only set the options its algorithms take
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRulesEngine, validateRules } from '../rules.js';
+import { MemoryStore } from '../stores/index.js';
+import { defaultKeyGenerator } from '../keyGenerators.js';
+
+test('reloads close the distributed limiters they replace', (t) => {
+  // Track intervals that were started and never cleared
+  const live = new Set();
+  const { setInterval: start, clearInterval: clear } = globalThis;
+  t.mock.method(globalThis, 'setInterval', (...args) => {
+    const timer = start(...args);
+    live.add(timer);
+    return timer;
+  });
+  t.mock.method(globalThis, 'clearInterval', (timer) => {
+    live.delete(timer);
+    clear(timer);
+  });
+  const timers = () => live.size;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const filePath = path.join(dir, 'ratelimit.rules.json');
+  fs.writeFileSync(filePath, JSON.stringify({
+    rules: [
+      { name: 'search', route: '/api/search', algorithm: 'distributed-redis', limits: { maxRequests: 10, windowMs: 60000 } },
+      { name: 'export', route: '/api/export', algorithm: 'distributed-token-bucket', limits: { capacity: 5, refillRate: 1 } }
+    ]
+  }));
+
+  const store = new MemoryStore({ sweepIntervalMs: 0 });
+  const before = timers();
+  const rules = createRulesEngine({
+    filePath,
+    storeFor: () => store,
+    keyGenerator: defaultKeyGenerator,
+    // 'local' gives every distributed limiter its own swept in-memory store
+    limiterOptions: { failurePolicy: 'local' },
+    watch: false
+  });
+  const loaded = timers();
+  assert.equal(loaded - before, 2);
+
+  for (let i = 0; i < 5; i++) assert.equal(rules.reload(), true);
+  assert.equal(timers(), loaded);
+
+  rules.close();
+  assert.equal(timers(), before);
+});
+
+test('rule options are limited to what each algorithm takes, with checked values', () => {
+  const rule = (algorithm, limits, options) => ({ rules: [{ name: 'r', route: '/api/r', algorithm, limits, options }] });
+  const bucket = { capacity: 5, refillRate: 1 };
+
+  assert.deepEqual(validateRules(rule('token-bucket', bucket, { headers: 'ietf' })), []);
+  assert.deepEqual(validateRules(rule('leaky-bucket', { capacity: 5, leakRate: 1 }, { mode: 'delay' })), []);
+  assert.deepEqual(validateRules(rule('concurrency', { maxConcurrent: 1 }, { maxQueue: 2, queueTimeoutMs: 1000 })), []);
+  assert.deepEqual(validateRules(rule('distributed-token-bucket', bucket, { failurePolicy: 'local', instances: 2 })), []);
+
+  for (const options of [{ limits: {} }, { clock: 1 }, { store: 'x' }, { cost: 'a' }, { keyGenerator: 'ip' }, { mode: 'delay' }]) {
+    const [error] = validateRules(rule('token-bucket', bucket, options));
+    assert.match(error, /not an option of token-bucket/, JSON.stringify(options));
+  }
+
+  assert.match(validateRules(rule('token-bucket', bucket, { headers: 'x' }))[0], /options\.headers: must be one of legacy, ietf, both/);
+  assert.match(validateRules(rule('concurrency', { maxConcurrent: 1 }, { maxQueue: -1 }))[0], /options\.maxQueue: must be an integer >= 0/);
+  assert.match(validateRules(rule('distributed-redis', { maxRequests: 5, windowMs: 1000 }, { failurePolicy: 'maybe' }))[0], /options\.failurePolicy/);
+  assert.match(validateRules(rule('token-bucket', bucket, null))[0], /options: must be an object/);
+});
@@ -10,17 +10,24 @@
  * Best for: APIs that need to allow bursts while maintaining average rate
  */
 
-class TokenBucket {
-  constructor(capacity, refillRate) {
+import { MemoryStore } from './stores/index.js';
+import { defaultKeyGenerator, clientKey, parseClientKey } from './keyGenerators.js';
+import { setRateLimitHeaders } from './headers.js';
+import { resolveCost, rejectInvalidCost } from './cost.js';
+
+export class TokenBucket {
+  // state is the plain object previously saved in the store (null for a new client)
+  constructor(capacity, refillRate, state = null, clock = Date.now) {
+    this.clock = clock; // () => current time in ms
     this.capacity = capacity; // Maximum tokens in bucket
-    this.tokens = capacity; // Current tokens available
+    this.tokens = state ? state.tokens : capacity; // Current tokens available
     this.refillRate = refillRate; // Tokens added per second
-    this.lastRefill = Date.now();
+    this.lastRefill = state ? state.lastRefill : this.clock();
   }
 
   // Refill tokens based on time elapsed
   refill() {
-    const now = Date.now();
+    const now = this.clock();
     const elapsed = (now - this.lastRefill) / 1000; // seconds
     const tokensToAdd = elapsed * this.refillRate;
     
@@ -28,24 +35,31 @@ class TokenBucket {
     this.lastRefill = now;
   }
 
-  // Try to consume a token
-  consume() {
+  // When the bucket will be full again (the quota fully resets)
+  fullAt() {
+    return this.lastRefill + Math.ceil(((this.capacity - this.tokens) / this.refillRate) * 1000);
+  }
+
+  // Try to consume `cost` tokens
+  consume(cost = 1) {
     this.refill();
     
-    if (this.tokens >= 1) {
-      this.tokens -= 1;
+    if (this.tokens >= cost) {
+      this.tokens -= cost;
       return {
         allowed: true,
         remaining: Math.floor(this.tokens),
-        capacity: this.capacity
+        capacity: this.capacity,
+        resetAt: this.fullAt()
       };
     }
     
     return {
       allowed: false,
-      remaining: 0,
+      remaining: Math.floor(this.tokens),
       capacity: this.capacity,
-      retryAfter: Math.ceil((1 - this.tokens) / this.refillRate)
+      resetAt: this.fullAt(),
+      retryAfter: Math.ceil((cost - this.tokens) / this.refillRate)
     };
   }
 
@@ -57,26 +71,69 @@ class TokenBucket {
       refillRate: this.refillRate
     };
   }
+
+  // Admin top-up (or drain): leave exactly `remaining` tokens
+  setRemaining(remaining) {
+    this.refill();
+    this.tokens = Math.min(this.capacity, Math.max(0, remaining));
+  }
+
+  // Plain object saved in the store between requests
+  toJSON() {
+    return {
+      capacity: this.capacity,
+      refillRate: this.refillRate,
+      tokens: this.tokens,
+      lastRefill: this.lastRefill
+    };
+  }
 }
 
-// In-memory store for multiple clients
-const buckets = new Map();
+// Default store (in-memory); pass { store } to share state across servers
+const defaultStore = new MemoryStore();
+const KEY_PREFIX = 'token-bucket:';
 
-export function tokenBucketMiddleware(capacity = 10, refillRate = 2) {
-  return (req, res, next) => {
-    const clientId = req.ip || 'unknown';
+export function tokenBucketMiddleware(capacity = 10, refillRate = 2, {
+  store = defaultStore,
+  keyGenerator = defaultKeyGenerator,
+  limits = () => ({}),
+  headers = 'legacy',
+  cost: requestCost = 1,
+  // () => current time in ms; pass a fake clock to test without sleeping
+  clock = Date.now
+} = {}) {
+  return async (req, res, next) => {
+    // Per-request limits (e.g. from the caller's plan) override the defaults
+    const config = { capacity, refillRate, ...limits(req) };
+    // After this long an idle bucket is full again, so its state can expire
+    const ttlMs = Math.ceil((config.capacity / config.refillRate) * 1000);
+
+    const clientId = clientKey(req, keyGenerator);
+    const cost = resolveCost(req, requestCost);
+    if (rejectInvalidCost(res, { algorithm: 'token-bucket', cost, limit: config.capacity })) return;
     
-    if (!buckets.has(clientId)) {
-      buckets.set(clientId, new TokenBucket(capacity, refillRate));
+    let result;
+    try {
+      result = await store.update(KEY_PREFIX + clientId, (state) => {
+        const bucket = new TokenBucket(config.capacity, config.refillRate, state, clock);
+        return { result: bucket.consume(cost), state: bucket.toJSON() };
+      }, ttlMs);
+    } catch (error) {
+      // Fail open - allow the request if the store is unavailable
+      console.error('Token bucket store error:', error.message);
+      return next();
     }
     
-    const bucket = buckets.get(clientId);
-    const result = bucket.consume();
-    
     // Add rate limit headers
-    res.setHeader('X-RateLimit-Limit', capacity);
-    res.setHeader('X-RateLimit-Remaining', result.remaining);
-    res.setHeader('X-RateLimit-Algorithm', 'token-bucket');
+    setRateLimitHeaders(res, headers, {
+      algorithm: 'token-bucket',
+      limit: config.capacity,
+      remaining: result.remaining,
+      resetAt: result.resetAt,
+      windowMs: (config.capacity / config.refillRate) * 1000,
+      cost,
+      now: clock()
+    });
     
     if (!result.allowed) {
       res.setHeader('Retry-After', result.retryAfter);
@@ -84,7 +141,8 @@ export function tokenBucketMiddleware(capacity = 10, refillRate = 2) {
         error: 'Too Many Requests',
         message: `Rate limit exceeded. Retry in ${result.retryAfter} seconds.`,
         algorithm: 'token-bucket',
-        limit: capacity,
+        limit: config.capacity,
+        cost,
         retryAfter: result.retryAfter
       });
     }
@@ -93,13 +151,47 @@ export function tokenBucketMiddleware(capacity = 10, refillRate = 2) {
   };
 }
 
-export function getTokenBucketStats() {
-  const stats = [];
-  buckets.forEach((bucket, clientId) => {
-    stats.push({
-      clientId,
-      ...bucket.getStatus()
+export async function getTokenBucketStats(store = defaultStore, clock = Date.now) {
+  try {
+    const entries = await store.entries(KEY_PREFIX);
+    return entries.map(([key, state]) => {
+      const bucket = new TokenBucket(state.capacity, state.refillRate, state, clock);
+      return {
+        ...parseClientKey(key.slice(KEY_PREFIX.length)),
+        ...bucket.getStatus()
+      };
     });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Admin: one client's state, or null if it has none
+export async function getTokenBucketClient(clientId, store = defaultStore, clock = Date.now) {
+  const state = await store.get(KEY_PREFIX + clientId);
+  if (!state) return null;
+
+  const bucket = new TokenBucket(state.capacity, state.refillRate, state, clock);
+  return { ...parseClientKey(clientId), ...bucket.getStatus() };
+}
+
+// Admin: forget a client, giving it a fresh full allowance
+export async function resetTokenBucketClient(clientId, store = defaultStore) {
+  return store.delete(KEY_PREFIX + clientId);
+}
+
+// Admin: top up or drain a client to `remaining` tokens
+export async function setTokenBucketRemaining(clientId, remaining, store = defaultStore, clock = Date.now) {
+  // Through update() so a request consuming at the same time isn't lost
+  return store.update(KEY_PREFIX + clientId, (state) => {
+    if (!state) return { result: null };
+
+    const bucket = new TokenBucket(state.capacity, state.refillRate, state, clock);
+    bucket.setRemaining(remaining);
+    return {
+      state: bucket.toJSON(),
+      ttlMs: Math.ceil((state.capacity / state.refillRate) * 1000),
+      result: { ...parseClientKey(clientId), ...bucket.getStatus() }
+    };
   });
-  return stats;
 }
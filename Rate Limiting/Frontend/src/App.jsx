@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
 import './App.css';
+import { createRateLimitedFetch } from '../../../shared/rateLimitedFetch';
 
 const API_BASE = 'http://localhost:3001';
 
@@ -10,6 +11,7 @@ const ALGORITHMS = [
     endpoint: '/api/token-bucket',
     description: '5 tokens capacity, refills at 1 token/second',
     info: 'Allows bursts up to capacity. Best for APIs that need burst handling.',
+    metric: 'tokens',
   },
   {
     id: 'sliding-window',
@@ -17,6 +19,7 @@ const ALGORITHMS = [
     endpoint: '/api/sliding-window',
     description: '8 requests per 30 seconds',
     info: 'Most accurate. No boundary issues. Stores all request timestamps.',
+    metric: 'window',
   },
   {
     id: 'fixed-window',
@@ -24,6 +27,15 @@ const ALGORITHMS = [
     endpoint: '/api/fixed-window',
     description: '6 requests per 20 seconds',
     info: 'Simple and efficient. Can have 2x burst at window boundaries.',
+    metric: 'window',
+  },
+  {
+    id: 'sliding-counter',
+    name: 'Sliding Window Counter',
+    endpoint: '/api/sliding-counter',
+    description: '~8 requests per 30 seconds',
+    info: 'Weights the previous window by its overlap. Two counters per client instead of every timestamp.',
+    metric: 'window',
   },
   {
     id: 'distributed',
@@ -31,10 +43,119 @@ const ALGORITHMS = [
     endpoint: '/api/distributed',
     description: '10 requests per 60 seconds',
     info: 'Shared across all servers. Requires Redis. Production-ready.',
+    requiresRedis: true,
+    // Name the backend reports in X-RateLimit-Algorithm (defaults to id)
+    limiter: 'distributed-redis',
+    metric: 'window',
+  },
+  {
+    id: 'distributed-token-bucket',
+    name: 'Distributed Token Bucket',
+    endpoint: '/api/distributed/token-bucket',
+    description: '5 tokens capacity, refills at 1 token/second (shared)',
+    info: 'Token bucket state kept in a Redis hash. Bursts allowed across all servers.',
+    requiresRedis: true,
+    metric: 'tokens',
+  },
+  {
+    id: 'distributed-fixed-window',
+    name: 'Distributed Fixed Window',
+    endpoint: '/api/distributed/fixed-window',
+    description: '6 requests per 20 seconds (shared)',
+    info: 'One Redis counter per client that expires at the window boundary.',
+    requiresRedis: true,
+    metric: 'window',
   },
 ];
 
-function AlgorithmCard({ algorithm }) {
+// How much of the live stream the timelines show
+const TIMELINE_MS = 60000;
+const CLIENT_COLORS = ['#667eea', '#f59e0b', '#10b981', '#ec4899'];
+
+// Every limiter decision from the backend (all clients), kept for TIMELINE_MS
+function useDecisionStream() {
+  const [decisions, setDecisions] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const source = new EventSource(`${API_BASE}/api/events`);
+    source.onmessage = (event) => {
+      const decision = JSON.parse(event.data);
+      setDecisions((prev) =>
+        [...prev, decision].filter((d) => d.timestamp > Date.now() - TIMELINE_MS).slice(-500)
+      );
+    };
+
+    // Keep the time axis moving when no traffic arrives
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      source.close();
+      clearInterval(tick);
+    };
+  }, []);
+
+  return { decisions, now };
+}
+
+// Token level (buckets) or requests in the window (windows) per client over the last minute
+function DecisionTimeline({ decisions, metric, now }) {
+  const width = 300;
+  const height = 80;
+  const start = now - TIMELINE_MS;
+  const visible = decisions.filter((d) => d.timestamp > start && d.limit);
+  const limit = Math.max(1, ...visible.map((d) => d.limit));
+
+  const clients = [...new Set(visible.map((d) => d.client))];
+  const colorOf = (client) => CLIENT_COLORS[clients.indexOf(client)] || '#9ca3af';
+
+  const valueOf = (d) => (metric === 'tokens' ? d.remaining : d.limit - d.remaining);
+  const x = (d) => ((d.timestamp - start) / TIMELINE_MS) * width;
+  const y = (d) => height - 4 - (valueOf(d) / limit) * (height - 8);
+
+  return (
+    <div className="timeline">
+      <div className="timeline-header">
+        <span>{metric === 'tokens' ? 'Tokens left' : 'Requests in window'} · last 60s</span>
+        <span>{visible.filter((d) => !d.allowed).length} rejected</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="timeline-chart">
+        {clients.map((client) => (
+          <polyline
+            key={client}
+            fill="none"
+            stroke={colorOf(client)}
+            strokeWidth="1.5"
+            points={visible
+              .filter((d) => d.client === client)
+              .map((d) => `${x(d)},${y(d)}`)
+              .join(' ')}
+          />
+        ))}
+        {visible.map((d, idx) => (
+          <circle
+            key={idx}
+            cx={x(d)}
+            cy={y(d)}
+            r="2.5"
+            fill={d.allowed ? colorOf(d.client) : '#ef4444'}
+          />
+        ))}
+      </svg>
+      {clients.length > 0 && (
+        <div className="timeline-legend">
+          {clients.slice(0, CLIENT_COLORS.length).map((client) => (
+            <span key={client} style={{ color: colorOf(client) }}>● {client}</span>
+          ))}
+          {clients.length > CLIENT_COLORS.length && (
+            <span>● {clients.length - CLIENT_COLORS.length} more</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AlgorithmCard({ algorithm, decisions, now }) {
   const [stats, setStats] = useState({
     limit: 0,
     remaining: 0,
@@ -45,7 +166,23 @@ function AlgorithmCard({ algorithm }) {
   const [loading, setLoading] = useState(false);
   const [autoTest, setAutoTest] = useState(false);
   const [isAvailable, setIsAvailable] = useState(true);
+  const [respectLimits, setRespectLimits] = useState(false);
+  const [avoided, setAvoided] = useState(0);
+  const [waitingUntil, setWaitingUntil] = useState(null);
   const autoTestInterval = useRef(null);
+  // Refs, because auto-test calls the makeRequest from the render that started it
+  const inFlight = useRef(false);
+  const respectLimitsRef = useRef(false);
+  const limitedFetch = useRef(null);
+  if (!limitedFetch.current) {
+    limitedFetch.current = createRateLimitedFetch({
+      maxRetries: 2,
+      onWait: ({ ms }) => {
+        setWaitingUntil(Date.now() + ms);
+        setAvoided(limitedFetch.current.stats().avoided);
+      },
+    });
+  }
 
   useEffect(() => {
     checkAvailability();
@@ -72,7 +209,8 @@ function AlgorithmCard({ algorithm }) {
     try {
       const res = await fetch(`${API_BASE}/health`);
       const data = await res.json();
-      if (algorithm.id === 'distributed' && data.redis !== 'connected') {
+      // Without Redis, distributed limiters only serve requests under an open/local failure policy
+      if (algorithm.requiresRedis && data.redis !== 'connected' && data.failurePolicy === 'closed') {
         setIsAvailable(false);
       }
     } catch (error) {
@@ -81,13 +219,16 @@ function AlgorithmCard({ algorithm }) {
   };
 
   const makeRequest = async () => {
-    if (loading) return;
+    if (inFlight.current) return;
     
+    inFlight.current = true;
     setLoading(true);
     const startTime = Date.now();
 
     try {
-      const res = await fetch(`${API_BASE}${algorithm.endpoint}`);
+      // "Respect limits" waits out exhausted budgets and Retry-After instead of collecting 429s
+      const doFetch = respectLimitsRef.current ? limitedFetch.current : fetch;
+      const res = await doFetch(`${API_BASE}${algorithm.endpoint}`);
       const data = await res.json();
       const duration = Date.now() - startTime;
 
@@ -120,13 +261,22 @@ function AlgorithmCard({ algorithm }) {
       setStatus('error');
       setTimeout(() => setStatus('idle'), 2000);
     } finally {
+      inFlight.current = false;
+      setWaitingUntil(null);
       setLoading(false);
     }
   };
 
+  const toggleRespectLimits = (checked) => {
+    respectLimitsRef.current = checked;
+    setRespectLimits(checked);
+  };
+
   const clearHistory = () => {
     setHistory([]);
     setStats({ limit: 0, remaining: 0, current: 0 });
+    limitedFetch.current.reset();
+    setAvoided(0);
   };
 
   if (!isAvailable) {
@@ -177,13 +327,15 @@ function AlgorithmCard({ algorithm }) {
         />
       </div>
 
+      <DecisionTimeline decisions={decisions} metric={algorithm.metric} now={now} />
+
       <div className="controls">
         <button
           className="btn btn-primary"
           onClick={makeRequest}
           disabled={loading || autoTest}
         >
-          {loading ? 'Sending...' : 'Send Request'}
+          {waitingUntil ? 'Waiting for limit...' : loading ? 'Sending...' : 'Send Request'}
         </button>
         <button className="btn btn-secondary" onClick={clearHistory}>
           Clear
@@ -202,6 +354,19 @@ function AlgorithmCard({ algorithm }) {
         </label>
       </div>
 
+      <div className="auto-test">
+        <input
+          type="checkbox"
+          id={`respect-${algorithm.id}`}
+          checked={respectLimits}
+          onChange={(e) => toggleRespectLimits(e.target.checked)}
+        />
+        <label htmlFor={`respect-${algorithm.id}`}>
+          Respect limits (wait instead of getting 429s)
+        </label>
+        {respectLimits && <span className="avoided">{avoided} avoided</span>}
+      </div>
+
       {history.length > 0 && (
         <div className="request-history">
           {history.map((entry, idx) => (
@@ -218,19 +383,27 @@ function AlgorithmCard({ algorithm }) {
 }
 
 function App() {
+  const { decisions, now } = useDecisionStream();
+
   return (
     <div className="App">
       <div className="header">
         <h1>⚡ Rate Limiting Demo</h1>
         <p>
           Compare different rate limiting algorithms in action. Click "Send Request" or enable
-          auto-test to see how each algorithm handles traffic.
+          auto-test to see how each algorithm handles traffic. Timelines show live decisions for
+          every client, including other tabs and scripts.
         </p>
       </div>
 
       <div className="algorithms-grid">
         {ALGORITHMS.map((algo) => (
-          <AlgorithmCard key={algo.id} algorithm={algo} />
+          <AlgorithmCard
+            key={algo.id}
+            algorithm={algo}
+            decisions={decisions.filter((d) => d.algorithm === (algo.limiter || algo.id))}
+            now={now}
+          />
         ))}
       </div>
 
@@ -270,6 +443,17 @@ function App() {
             </ul>
           </div>
 
+          <div className="comparison-card">
+            <h3>Sliding Window Counter</h3>
+            <p><strong>Use Case:</strong> Accuracy on a memory budget</p>
+            <ul>
+              <li>Two counters per client</li>
+              <li>Smooths boundary bursts</li>
+              <li>Fast</li>
+              <li className="con">Approximate count</li>
+            </ul>
+          </div>
+
           <div className="comparison-card">
             <h3>Distributed (Redis)</h3>
             <p><strong>Use Case:</strong> Multi-server systems</p>
@@ -1,5 +1,6 @@
 const express = require("express");
 const cors = require("cors");
+const { createConnectionLimiter, createClientIp } = require("./rateLimit");
 
 const port = process.env.PORT || 3000;
 const app = express();
@@ -10,6 +11,16 @@ app.use(express.json());
 // Store active SSE connections
 const clients = new Set();
 
+// Concurrent connection cap per IP - each open stream holds a socket and
+// a slot in every broadcast, so one client can't open hundreds of them
+const MAX_CONNECTIONS_PER_IP = Number(process.env.MAX_CONNECTIONS_PER_IP) || 5;
+
+// Only these proxies may set X-Forwarded-For (comma-separated IPs/CIDRs)
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES || '').split(',').filter(Boolean);
+
+const connections = createConnectionLimiter(MAX_CONNECTIONS_PER_IP);
+const clientIp = createClientIp(TRUSTED_PROXIES);
+
 // Simulated data source - multiple event streams
 const eventStreams = {
   stock: { price: 100, trend: 1 },
@@ -77,6 +88,16 @@ setInterval(() => {
 
 // SSE endpoint
 app.get('/events', (req, res) => {
+  // Reject before the stream starts, while we can still send a status code
+  const lease = connections.acquire(clientIp(req));
+  if (!lease.allowed) {
+    res.setHeader('Retry-After', '5');
+    return res.status(429).json({
+      success: false,
+      message: `Too many open connections (limit ${MAX_CONNECTIONS_PER_IP} per IP)`
+    });
+  }
+
   // Set headers for SSE
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -110,6 +131,7 @@ app.get('/events', (req, res) => {
   // Handle client disconnect
   req.on('close', () => {
     clients.delete(res);
+    lease.release();
     console.log(`Client disconnected. Total clients: ${clients.size}`);
   });
 });
@@ -134,6 +156,7 @@ app.get('/', (req, res) => {
     data : {
         status: 'running',
         clients: clients.size,
+        maxConnectionsPerIp: MAX_CONNECTIONS_PER_IP,
         uptime: process.uptime(),
         streams: Object.keys(eventStreams)
     }, 
@@ -0,0 +1,69 @@
+// Connection limiting for the SSE server: open streams counted per key in
+// memory, and the client IP of a request
+
+const net = require("net");
+
+// Hands out at most max leases per key at once. acquire() returns
+// { allowed, release }; release() is safe to call more than once.
+const createConnectionLimiter = (max) => {
+  const open = new Map();
+
+  const acquire = (key) => {
+    const count = open.get(key) || 0;
+    if (count >= max) return { allowed: false, release: () => {} };
+
+    open.set(key, count + 1);
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      const left = open.get(key) - 1;
+      if (left > 0) open.set(key, left);
+      else open.delete(key);
+    };
+    return { allowed: true, release };
+  };
+
+  return { acquire };
+};
+
+const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip);
+
+// Proxies are exact IPs or CIDRs ("10.0.0.0/8", "fd00::/8")
+const proxyList = (proxies) => {
+  const list = new net.BlockList();
+  for (const proxy of proxies) {
+    const [address, bits] = proxy.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (bits === undefined) list.addAddress(address, type);
+    else list.addSubnet(address, Number(bits), type);
+  }
+  return list;
+};
+
+// X-Forwarded-For is ignored unless the connection comes from a trusted proxy:
+// anyone can forge it
+const createClientIp = (trustedProxies) => {
+  const trusted = proxyList(trustedProxies);
+  const isTrusted = (ip) => net.isIP(ip) !== 0 && trusted.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+
+  return (req) => {
+    const remote = req.socket.remoteAddress;
+    if (!remote) return 'unknown';
+    if (!isTrusted(remote)) return normalizeIp(remote);
+
+    // Each proxy appends the address it received from, so walk right-to-left
+    // and stop at the first hop we don't trust - that's the real client
+    const forwarded = (req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map((hop) => hop.trim())
+      .filter(Boolean);
+
+    for (let i = forwarded.length - 1; i >= 0; i--) {
+      if (!isTrusted(forwarded[i])) return normalizeIp(forwarded[i]);
+    }
+    return normalizeIp(forwarded[0] || remote);
+  };
+};
+
+module.exports = { createConnectionLimiter, createClientIp };
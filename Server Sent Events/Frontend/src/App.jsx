@@ -1,8 +1,12 @@
 import { useState, useEffect, useRef } from 'react'
 import './App.css'
+import { createRateLimitedFetch } from '../../../shared/rateLimitedFetch';
 
 const API_BASE_URL = 'http://localhost:3000';
 
+// Spaced out and retried if the server rate limits the trigger button
+const limitedFetch = createRateLimitedFetch({ maxRetries: 2 });
+
 function App() {
   const [isConnected, setIsConnected] = useState(false);
   const [eventCount, setEventCount] = useState(0);
@@ -139,7 +143,7 @@ function App() {
 
   const triggerNotification = async () => {
     try {
-      await fetch(`${API_BASE_URL}/trigger-notification`, {
+      await limitedFetch(`${API_BASE_URL}/trigger-notification`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ message: 'Manual test notification from React!' })
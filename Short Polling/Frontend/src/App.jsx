@@ -1,9 +1,13 @@
 import { useState, useEffect, useRef } from 'react'
 import './App.css'
+import { createRateLimitedFetch } from '../../../shared/rateLimitedFetch';
 
 const API_BASE_URL = 'http://localhost:3000';
 const POLL_INTERVAL = 2000; // Poll every 2 seconds
 
+// Backs off on 429 / 503 instead of letting every poll pile on
+const limitedFetch = createRateLimitedFetch({ maxRetries: 2 });
+
 function App() {
   const [items, setItems] = useState([]);
   const [isCreating, setIsCreating] = useState(false);
@@ -14,7 +18,7 @@ function App() {
   useEffect(() => {
     const fetchExistingItems = async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}/items`);
+        const response = await limitedFetch(`${API_BASE_URL}/items`);
         const result = await response.json();
         
         if (result.success && result.data.items) {
@@ -47,7 +51,7 @@ function App() {
   const createItem = async () => {
     setIsCreating(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/items`, {
+      const response = await limitedFetch(`${API_BASE_URL}/items`, {
         method: 'POST',
       });
       const result = await response.json();
@@ -78,7 +82,7 @@ function App() {
 
     pollingIntervals.current[itemId] = setInterval(async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}/items/${itemId}/status`);
+        const response = await limitedFetch(`${API_BASE_URL}/items/${itemId}/status`);
         const result = await response.json();
 
         if (result.success) {
@@ -2,6 +2,8 @@ const express = require("express");
 const cors = require("cors");
 const { WebSocketServer } = require("ws");
 const http = require("http");
+const crypto = require("crypto");
+const { createTokenBuckets, createClientIp } = require("./rateLimit");
 
 const port = process.env.PORT || 3000;
 const app = express();
@@ -16,6 +18,36 @@ const wss = new WebSocketServer({ server });
 const db = {};
 const clients = new Set();
 
+// Message rate limits: a token bucket per socket and a shared one per IP,
+// so opening more sockets doesn't buy a client more messages
+const MESSAGE_CAPACITY = Number(process.env.WS_MESSAGE_CAPACITY) || 10;
+const MESSAGE_REFILL_RATE = Number(process.env.WS_MESSAGE_REFILL_RATE) || 2; // messages per second
+const IP_MESSAGE_CAPACITY = Number(process.env.WS_IP_MESSAGE_CAPACITY) || MESSAGE_CAPACITY * 3;
+const IP_MESSAGE_REFILL_RATE = Number(process.env.WS_IP_MESSAGE_REFILL_RATE) || MESSAGE_REFILL_RATE * 3;
+// Throttled messages in a row before the socket is closed
+const MAX_VIOLATIONS = Number(process.env.WS_MAX_VIOLATIONS) || 5;
+const POLICY_VIOLATION = 1008;
+
+// Only these proxies may set X-Forwarded-For (comma-separated IPs/CIDRs)
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXIES || '').split(',').filter(Boolean);
+
+const socketMessages = createTokenBuckets({ capacity: MESSAGE_CAPACITY, refillRate: MESSAGE_REFILL_RATE });
+// Idle IP buckets expire once they'd be full again, not when the last
+// socket closes, so reconnecting doesn't buy a fresh burst
+const ipMessages = createTokenBuckets({ capacity: IP_MESSAGE_CAPACITY, refillRate: IP_MESSAGE_REFILL_RATE });
+const clientIp = createClientIp(TRUSTED_PROXIES);
+
+// Spend one message from both buckets, or from neither: the socket bucket is
+// checked first so one noisy socket doesn't drain the budget of the others.
+// Returns 0 when the message is allowed, otherwise the seconds to wait.
+const takeMessage = (socketId, ip) => {
+  const retryAfter = socketMessages.check(socketId) || ipMessages.consume(ip);
+  if (retryAfter > 0) return retryAfter;
+
+  // Nothing runs between the check and here, so this can't fail
+  return socketMessages.consume(socketId);
+};
+
 const initializeEvents = () => {
   const N = 5;
   for (let i = 0; i < N; i++) {
@@ -56,16 +88,45 @@ const broadcast = (message) => {
   });
 };
 
-wss.on('connection', (ws) => {
-  console.log('New client connected');
+wss.on('connection', (ws, req) => {
+  const ip = clientIp(req);
+  console.log(`New client connected (${ip})`);
   clients.add(ws);
 
+  const socketId = `socket:${crypto.randomUUID()}`;
+  let violations = 0;
+
+  const cleanup = () => {
+    clients.delete(ws);
+    // The IP bucket outlives the socket and expires on its own
+    socketMessages.reset(socketId);
+  };
+
   ws.send(JSON.stringify({
     type: 'INITIAL',
     data: Object.values(db)
   }));
 
   ws.on('message', (message) => {
+    const retryAfter = takeMessage(socketId, ip);
+    if (retryAfter > 0) {
+      violations++;
+      console.log(`Throttled message from ${ip} (${violations}/${MAX_VIOLATIONS})`);
+
+      if (violations >= MAX_VIOLATIONS) {
+        ws.close(POLICY_VIOLATION, 'Rate limit exceeded');
+        return;
+      }
+      ws.send(JSON.stringify({
+        type: 'THROTTLED',
+        retryAfter,
+        violations,
+        maxViolations: MAX_VIOLATIONS
+      }));
+      return;
+    }
+    violations = 0;
+
     try {
       const data = JSON.parse(message);
       console.log('Received:', data);
@@ -81,14 +142,14 @@ wss.on('connection', (ws) => {
     }
   });
 
-  ws.on('close', () => {
-    console.log('Client disconnected');
-    clients.delete(ws);
+  ws.on('close', (code, reason) => {
+    console.log(`Client disconnected (${code}${reason.length ? `: ${reason}` : ''})`);
+    cleanup();
   });
 
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
-    clients.delete(ws);
+    cleanup();
   });
 });
 
@@ -0,0 +1,89 @@
+// Message rate limiting for the WebSocket server: token buckets kept in
+// memory, and the client IP of an upgrade request
+
+const net = require("net");
+
+// Buckets that have refilled are dropped on this interval
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// key -> { tokens, lastRefill }, all sharing one capacity and refill rate
+// (tokens per second). An idle bucket is kept until it has refilled, so
+// dropping a key early can't hand out a fresh burst.
+const createTokenBuckets = ({ capacity, refillRate }) => {
+  const buckets = new Map();
+
+  const refill = (key, now) => {
+    const bucket = buckets.get(key) || { tokens: capacity, lastRefill: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.lastRefill) / 1000) * refillRate);
+    bucket.lastRefill = now;
+    return bucket;
+  };
+
+  // Seconds until a token is available, 0 when one is
+  const check = (key) => {
+    const bucket = refill(key, Date.now());
+    return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / refillRate);
+  };
+
+  // Takes a token if there is one; returns what check() would have
+  const consume = (key) => {
+    const bucket = refill(key, Date.now());
+    if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / refillRate);
+    bucket.tokens -= 1;
+    buckets.set(key, bucket);
+    return 0;
+  };
+
+  const reset = (key) => buckets.delete(key);
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const key of buckets.keys()) {
+      if (refill(key, now).tokens >= capacity) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return { check, consume, reset };
+};
+
+const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip);
+
+// Proxies are exact IPs or CIDRs ("10.0.0.0/8", "fd00::/8")
+const proxyList = (proxies) => {
+  const list = new net.BlockList();
+  for (const proxy of proxies) {
+    const [address, bits] = proxy.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (bits === undefined) list.addAddress(address, type);
+    else list.addSubnet(address, Number(bits), type);
+  }
+  return list;
+};
+
+// X-Forwarded-For is ignored unless the connection comes from a trusted proxy:
+// anyone can forge it
+const createClientIp = (trustedProxies) => {
+  const trusted = proxyList(trustedProxies);
+  const isTrusted = (ip) => net.isIP(ip) !== 0 && trusted.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+
+  return (req) => {
+    const remote = req.socket.remoteAddress;
+    if (!remote) return 'unknown';
+    if (!isTrusted(remote)) return normalizeIp(remote);
+
+    // Each proxy appends the address it received from, so walk right-to-left
+    // and stop at the first hop we don't trust - that's the real client
+    const forwarded = (req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map((hop) => hop.trim())
+      .filter(Boolean);
+
+    for (let i = forwarded.length - 1; i >= 0; i--) {
+      if (!isTrusted(forwarded[i])) return normalizeIp(forwarded[i]);
+    }
+    return normalizeIp(forwarded[0] || remote);
+  };
+};
+
+module.exports = { createTokenBuckets, createClientIp };
@@ -55,10 +55,14 @@ function App() {
         }
       };
 
-      ws.onclose = () => {
+      ws.onclose = (event) => {
         console.log('WebSocket connection closed');
         cleanup();
-        addLog('Disconnected from server', 'warning');
+        if (event.code === 1008) {
+          addLog(`Disconnected by server: ${event.reason || 'policy violation'}`, 'error');
+        } else {
+          addLog('Disconnected from server', 'warning');
+        }
         
         // Auto-reconnect after 3 seconds
         if (isConnected) {
@@ -133,6 +137,10 @@ function App() {
         setLastPing(null);
         break;
 
+      case 'THROTTLED':
+        addLog(`Message throttled, retry in ${message.retryAfter}s (${message.violations}/${message.maxViolations} before disconnect)`, 'warning');
+        break;
+
       default:
         addLog(`Unknown message type: ${type}`, 'warning');
     }
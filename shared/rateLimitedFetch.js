@@ -0,0 +1,240 @@
+/**
+ * Rate limit aware fetch
+ *
+ * A drop-in fetch wrapper for talking to rate limited APIs politely:
+ * - Reads X-RateLimit-* (or IETF RateLimit) headers and keeps a local
+ *   estimate of the remaining budget per endpoint
+ * - When the estimate says the budget is spent, waits until the server will
+ *   take a request again instead of sending one that would get a 429: the
+ *   window reset for window algorithms, the next unit for ones that refill
+ *   gradually (token / leaky bucket, GCRA)
+ * - Honors Retry-After on 429 / 503 and retries with jittered exponential backoff
+ * - Calls to the same endpoint are queued one at a time (bounded), so a
+ *   burst of calls can't hammer the server
+ *
+ * No dependencies. The demo frontends import it from here (their Vite configs
+ * allow serving this directory); anything else can copy it.
+ *
+ *   const limitedFetch = createRateLimitedFetch({ maxRetries: 3 });
+ *   const res = await limitedFetch('http://localhost:3001/api/token-bucket');
+ *   limitedFetch.stats(); // { sent, retries, rateLimited, avoided }
+ */
+
+const RETRY_STATUSES = [429, 503];
+
+// Algorithms (per X-RateLimit-Algorithm) that hand budget back a unit at a
+// time. Their reset is when the budget is full again, which can be much later
+// than the next request they'd admit.
+const REFILLING_ALGORITHMS = ['token-bucket', 'distributed-token-bucket', 'leaky-bucket', 'gcra'];
+
+// Resolves after ms, or rejects with the signal's reason (an AbortError unless
+// the caller gave another) as soon as the request is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, Math.max(0, ms));
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// { limit, remaining, resetAt (epoch ms), algorithm, windowMs } from either
+// header format, or null. algorithm and windowMs are null when not sent.
+export function readRateLimitHeaders(headers, now = Date.now()) {
+  const algorithm = headers.get('X-RateLimit-Algorithm');
+  // IETF draft: "10;w=60" (window in seconds)
+  const policy = /;\s*w=(\d+)/.exec(headers.get('RateLimit-Policy') || '');
+  const windowMs = policy ? Number(policy[1]) * 1000 : null;
+
+  const limit = headers.get('X-RateLimit-Limit');
+  if (limit !== null) {
+    return {
+      limit: Number(limit),
+      remaining: Number(headers.get('X-RateLimit-Remaining')),
+      resetAt: Date.parse(headers.get('X-RateLimit-Reset')) || null,
+      algorithm,
+      windowMs,
+    };
+  }
+
+  // IETF draft: "limit=10, remaining=7, reset=42" (reset in seconds)
+  const ietf = headers.get('RateLimit');
+  if (ietf) {
+    const fields = Object.fromEntries(ietf.split(',').map((field) => field.trim().split('=')));
+    return {
+      limit: Number(fields.limit),
+      remaining: Number(fields.remaining),
+      resetAt: now + Number(fields.reset) * 1000,
+      algorithm,
+      windowMs,
+    };
+  }
+
+  return null;
+}
+
+// When an exhausted budget admits a request again (epoch ms). For refilling
+// algorithms that's one unit's refill time before the reset: the policy
+// window is the time to refill `limit` units, and without it spreading the
+// time to reset over `limit` units never comes out earlier than the real refill.
+export function nextBudgetAt({ limit, resetAt, algorithm, windowMs }, now = Date.now()) {
+  if (!resetAt || !REFILLING_ALGORITHMS.includes(algorithm) || !(limit > 0)) {
+    return resetAt;
+  }
+  if (windowMs) {
+    return Math.max(now, resetAt - ((limit - 1) * windowMs) / limit);
+  }
+  return now + Math.max(0, resetAt - now) / limit;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(headers, now = Date.now()) {
+  const value = headers.get('Retry-After');
+  if (!value) return null;
+  const seconds = Number(value);
+  return Number.isNaN(seconds) ? Math.max(0, Date.parse(value) - now) : seconds * 1000;
+}
+
+/**
+ * options:
+ * - maxRetries:  retries after a 429 / 503 / network error
+ * - baseDelayMs: first backoff step, doubled per attempt
+ * - maxDelayMs:  backoff cap
+ * - maxQueue:    calls allowed to wait per endpoint before new ones are rejected
+ * - endpointKey: (url) => key; calls with the same key share a budget estimate
+ *                and queue (default: origin + path, so query strings don't count)
+ * - fetch:       underlying fetch (defaults to the global one)
+ * - onWait:      ({ url, ms, reason }) => void, called before every wait
+ */
+export function createRateLimitedFetch({
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  maxQueue = 20,
+  endpointKey = (url) => {
+    const { origin, pathname } = new URL(url, globalThis.location?.href);
+    return origin + pathname;
+  },
+  fetch: baseFetch = (...args) => fetch(...args),
+  onWait = () => {},
+} = {}) {
+  // endpoint -> { limit, remaining, resetAt, budgetAt, refilling, blockedUntil, queue, waiting }
+  const endpoints = new Map();
+  const counters = { sent: 0, retries: 0, rateLimited: 0, avoided: 0 };
+
+  const endpointFor = (url) => {
+    const key = endpointKey(url);
+    if (!endpoints.has(key)) {
+      endpoints.set(key, {
+        limit: null,
+        remaining: null,
+        resetAt: null,
+        budgetAt: null,
+        refilling: false,
+        blockedUntil: 0,
+        queue: Promise.resolve(),
+        waiting: 0,
+      });
+    }
+    return endpoints.get(key);
+  };
+
+  // Full jitter: a random delay up to the capped exponential step
+  const backoff = (attempt) => Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+  async function waitForBudget(url, endpoint, signal) {
+    const now = Date.now();
+
+    // The last known window has reset, so assume a full budget again
+    if (endpoint.resetAt && now >= endpoint.resetAt) {
+      endpoint.remaining = endpoint.limit;
+      endpoint.resetAt = null;
+      endpoint.budgetAt = null;
+    }
+
+    let until = endpoint.blockedUntil;
+    let reason = 'retry-after';
+    if (endpoint.remaining === 0 && endpoint.budgetAt) {
+      until = Math.max(until, endpoint.budgetAt);
+      reason = 'budget';
+    }
+    if (until <= now) return;
+
+    // This request would most likely have been rejected
+    counters.avoided++;
+    onWait({ url, ms: until - now, reason });
+    await sleep(until - now, signal);
+    // A refilling limiter only has the one unit we waited for
+    if (reason === 'budget') endpoint.remaining = endpoint.refilling ? 1 : endpoint.limit;
+  }
+
+  async function send(url, options, endpoint) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForBudget(url, endpoint, options?.signal);
+
+      counters.sent++;
+      if (endpoint.remaining) endpoint.remaining--;
+
+      let res;
+      try {
+        res = await baseFetch(url, options);
+      } catch (error) {
+        // An aborted request was cancelled on purpose, not lost
+        if (error.name === 'AbortError' || attempt >= maxRetries) throw error;
+        counters.retries++;
+        const ms = backoff(attempt);
+        onWait({ url, ms, reason: 'network-error' });
+        await sleep(ms, options?.signal);
+        continue;
+      }
+
+      const limits = readRateLimitHeaders(res.headers);
+      if (limits) {
+        Object.assign(endpoint, limits, {
+          budgetAt: nextBudgetAt(limits),
+          refilling: REFILLING_ALGORITHMS.includes(limits.algorithm),
+        });
+      }
+
+      if (!RETRY_STATUSES.includes(res.status)) return res;
+
+      if (res.status === 429) counters.rateLimited++;
+      const serverDelay = retryAfterMs(res.headers) ?? 0;
+      endpoint.blockedUntil = Date.now() + serverDelay;
+      if (attempt >= maxRetries) return res;
+
+      // Never earlier than the server asked, plus jitter so clients don't retry in lockstep
+      counters.retries++;
+      const ms = serverDelay + backoff(attempt);
+      onWait({ url, ms, reason: `status-${res.status}` });
+      await sleep(ms, options?.signal);
+    }
+  }
+
+  function limitedFetch(url, options) {
+    const endpoint = endpointFor(url);
+    if (endpoint.waiting >= maxQueue) {
+      return Promise.reject(new Error(`Too many queued requests for ${url}`));
+    }
+
+    // One request per endpoint at a time, in call order
+    endpoint.waiting++;
+    const result = endpoint.queue.then(() => send(url, options, endpoint));
+    endpoint.queue = result.catch(() => {}).finally(() => endpoint.waiting--);
+    return result;
+  }
+
+  limitedFetch.stats = () => ({ ...counters });
+  limitedFetch.reset = () => {
+    endpoints.clear();
+    Object.keys(counters).forEach((key) => { counters[key] = 0; });
+  };
+
+  return limitedFetch;
+}